@@ -30,6 +30,7 @@ export interface ServerMessage {
     error?: string;
     ext?: any;
     id?: string;
+    lazy?: boolean;
     minimumVersion?: string;
     reply?: ServerMessage;
     subscription?: string[];
@@ -44,14 +45,67 @@ export interface ServerSessionExtension {
     outgoing?(sender: ServerSession, session: ServerSession, message: ServerMessage, callback: Callback<ServerMessage>): void;
 }
 
+export interface Receipt {
+    (failure: Error | undefined, session: ServerSession): void;
+}
+
+export interface RateLimit {
+    rate: number;
+    burst?: number;
+}
+
+export interface History {
+    size?: number;
+    maxAge?: number;
+}
+
+export interface Authorizer {
+    (operation: 'create' | 'subscribe' | 'publish', channelName: string, session: ServerSession, message: ServerMessage, callback: Callback<'grant' | 'deny' | 'ignore'>): void;
+}
+
+export interface DataFilter {
+    (session: ServerSession, channel: ServerChannel, data: any, callback: (error?: Error, data?: any, rejection?: string) => void): void;
+}
+
+export interface ChannelTemplate {
+    readonly template: string;
+    readonly variables: string[];
+    readonly wildName: string;
+
+    match(channelName: string): { [variable: string]: string } | null;
+}
+
+export interface ChannelListener {
+    (session: ServerSession, channel: ServerChannel, message: ServerMessage, variables: { [variable: string]: string }, callback: Callback<boolean>): void;
+}
+
+export interface RemoteCallCaller {
+    readonly session: ServerSession;
+
+    result(data: any): boolean;
+
+    failure(data: any): boolean;
+}
+
+export interface RemoteCallHandler {
+    (session: ServerSession, data: any, caller: RemoteCallCaller): Promise<any> | void;
+}
+
 export interface ServerChannel {
     readonly name: string;
     readonly meta: boolean;
     readonly service: boolean;
     readonly broadcast: boolean;
     readonly wildNames: string[];
+    lazy: boolean;
+    persistent: boolean;
+    broadcastToPublisher?: boolean;
+    publishRateLimit: RateLimit | null;
+    history: History | null;
+    presence: boolean;
+    readonly members: any[];
 
-    publish(sender: ServerSession | null, data: any, callback?: Callback<boolean>): void;
+    publish(sender: ServerSession | null, data: any, callback?: Callback<boolean>, receipt?: Receipt): void;
 
     addListener(event: string, fn: VarArgFunction): void;
 
@@ -59,11 +113,28 @@ export interface ServerChannel {
 
     listeners(event: string): VarArgFunction[];
 
+    addAuthorizer(authorizer: Authorizer): void;
+
+    removeAuthorizer(authorizer: Authorizer): boolean;
+
+    readonly authorizers: Authorizer[];
+
+    addDataFilter(filter: DataFilter): void;
+
+    removeDataFilter(filter: DataFilter): boolean;
+
+    readonly dataFilters: DataFilter[];
+
     readonly subscribers: ServerSession[];
 }
 
 export interface ServerSession {
     readonly id: string
+    readonly local: boolean;
+    readonly browserId: string | null;
+    readonly handshakeTime: number;
+    readonly lastConnectTime: number;
+    readonly queueLength: number;
 
     addExtension(extension: ServerSessionExtension): void;
 
@@ -77,15 +148,43 @@ export interface ServerSession {
 
     listeners(event: string): VarArgFunction[];
 
-    deliver(sender: ServerSession | null, channelName: string, data: any, callback?: Callback<boolean>): void;
+    deliver(sender: ServerSession | null, channelName: string, data: any, callback?: Callback<boolean>, receipt?: Receipt): void;
 
     readonly subscriptions: ServerChannel[];
 
+    principal: any;
+    broadcastToPublisher?: boolean;
+    publishRateLimit?: RateLimit | null;
+
+    getAttribute(name: string): any;
+
+    setAttribute(name: string, value: any): void;
+
+    removeAttribute(name: string): any;
+
+    readonly attributeNames: string[];
+
     batch(fn: () => void): void;
 
     disconnect(callback?: Callback<boolean>): void;
 }
 
+export interface LocalSession {
+    readonly name: string;
+    readonly session: ServerSession | null;
+    readonly handshaken: boolean;
+
+    handshake(fields?: Partial<ServerMessage> | Callback<ServerMessage>, callback?: Callback<ServerMessage>): void;
+
+    subscribe(channelName: string, fn: (message: ServerMessage) => void, callback?: Callback<ServerMessage>): void;
+
+    unsubscribe(channelName: string, fn?: (message: ServerMessage) => void, callback?: Callback<ServerMessage>): void;
+
+    publish(channelName: string, data: any, callback?: Callback<ServerMessage>): void;
+
+    disconnect(callback?: Callback<ServerMessage>): void;
+}
+
 export interface ServerExtension {
     incoming?(server: CometDServer, session: ServerSession, message: ServerMessage, callback: Callback<boolean>): void;
 
@@ -102,10 +201,33 @@ export interface SecurityPolicy {
     canPublish?(session: ServerSession, message: ServerMessage, channel: ServerChannel, callback: Callback<boolean>): void;
 }
 
+export class ServerTransport {
+    constructor(server: CometDServer);
+
+    static extends(parent: ServerTransport): ServerTransport;
+
+    name(): string;
+
+    option(name: string): any;
+
+    accept(request: any): boolean;
+
+    handle(request: any, response: any): void;
+
+    acceptUpgrade(request: any): boolean;
+
+    handleUpgrade(request: any, socket: any, head: any): void;
+
+    close(): void;
+}
+
 export interface CometDServer {
     readonly options: Options;
     policy: SecurityPolicy;
 
+    addListener(event: 'rejected', fn: (reason: 'maxRequestBytes' | 'maxMessagesPerRequest' | 'maxMessageBytes',
+                                        request: any, session?: ServerSession, message?: ServerMessage) => void): void;
+
     addListener(event: string, fn: VarArgFunction): void;
 
     removeListener(event: string, fn: VarArgFunction): boolean;
@@ -120,22 +242,87 @@ export interface CometDServer {
 
     handle(request: any, response: any): void;
 
+    handleUpgrade(request: any, socket: any, head: any): void;
+
+    addTransport(transport: ServerTransport, index?: number): boolean;
+
+    removeTransport(name: string): ServerTransport | null;
+
+    getTransport(name: string): ServerTransport | null;
+
+    readonly transports: ServerTransport[];
+
     getServerChannel(name: string): ServerChannel;
 
-    createServerChannel(name: string): ServerChannel;
+    createServerChannel(name: string, initializer?: (channel: ServerChannel) => void): ServerChannel;
 
     getServerSession(id: string): ServerSession;
 
+    getServerSessions(): ServerSession[];
+
+    readonly sessionCount: number;
+
+    findServerSessions(query: SessionQuery | ((session: ServerSession) => boolean)): ServerSession[];
+
+    newLocalSession(name: string): LocalSession;
+
+    addChannelListener(template: string | ChannelTemplate, fn: ChannelListener): void;
+
+    removeChannelListener(template: string | ChannelTemplate, fn: ChannelListener): boolean;
+
+    addRemoteCall(channelName: string, handler: RemoteCallHandler, timeout?: number): void;
+
+    removeRemoteCall(channelName: string): boolean;
+
     readonly context: any;
 
-    close(): void;
+    close(callback?: Callback<void>): void;
+}
+
+export interface SessionQuery {
+    browserId?: string;
+    subscription?: string;
+    attributes?: { [name: string]: any };
+}
+
+export interface SessionRecord {
+    id: string;
+    browserId: string | null;
+    handshakeTime: number;
+    subscriptions: string[];
+    queue: ServerMessage[];
+    time: number;
+}
+
+export interface SessionStore {
+    load(callback: Callback<SessionRecord[]>): void;
+
+    save(records: SessionRecord[], callback: Callback<boolean>): void;
+}
+
+export interface MaxQueuePolicy {
+    (session: ServerSession, queue: ServerMessage[], sender: ServerSession | null, message: ServerMessage): boolean;
 }
 
 export interface Options {
     // Common options.
+    allowedTransports?: string[];
+    broadcastToPublisher?: boolean;
+    channelIdleTimeout?: number;
     interval?: number;
     logLevel?: 'debug' | 'info';
     maxInterval?: number;
+    maxLazyInterval?: number;
+    maxMessageBytes?: number;
+    maxQueue?: number;
+    maxQueuePolicy?: 'drop-oldest' | 'drop-newest' | 'disconnect' | MaxQueuePolicy;
+    maxMessagesPerRequest?: number;
+    maxRequestBytes?: number;
+    publishRateLimit?: RateLimit;
+    rateLimitAdvice?: boolean;
+    remoteCallTimeout?: number;
+    sessionStore?: SessionStore;
+    sessionStorePeriod?: number;
     sweepPeriod?: number;
     timeout?: number;
     // HTTP options.
@@ -147,9 +334,27 @@ export interface Options {
     browserCookiePath?: string;
     browserCookieSameSite?: 'Strict' | 'Lax' | 'None';
     browserCookieSecure?: boolean;
+    clientSessionBinding?: 'address' | 'token' | ('address' | 'token')[];
+    compression?: boolean | ('br' | 'gzip' | 'deflate')[];
+    compressionThreshold?: number;
     duplicateMetaConnectHttpResponseCode?: number;
     maxSessionsPerBrowser?: number;
     multiSessionInterval?: number;
+    trustClientSession?: boolean;
+    // JSONP options.
+    callbackParameter?: string;
+    maxCallbackLength?: number;
 }
 
 export function createCometDServer(options?: Options): CometDServer;
+
+export function createFileSessionStore(file: string): SessionStore;
+
+export function createChannelTemplate(template: string): ChannelTemplate;
+
+export const DataFilters: {
+    escapeHTML(): DataFilter;
+    maxLength(max: number): DataFilter;
+    rejectPattern(regexp: RegExp, error?: string): DataFilter;
+    maxDepth(max: number, error?: string): DataFilter;
+};
@@ -16,6 +16,9 @@
 'use strict';
 
 const crypto = require('crypto');
+const fs = require('fs');
+const WebSocket = require('ws');
+const zlib = require('zlib');
 
 module.exports = (() => {
     function _mixin(target, objects) {
@@ -155,6 +158,95 @@ module.exports = (() => {
         }
     }
 
+    function _defineLazy(message) {
+        // Non enumerable property 'lazy' to avoid serializing it;
+        // it can be set to true by listeners and extensions.
+        delete message.lazy;
+        return Object.defineProperty(message, 'lazy', {
+            value: false,
+            writable: true
+        });
+    }
+
+    function _channelWildNames(name) {
+        const wildNames = [];
+        const segments = name.split('/');
+        const lastSegment = segments[segments.length - 1];
+        if (lastSegment !== '*' && lastSegment !== '**') {
+            let c = '/';
+            for (let i = segments.length - 1; i > 0; --i) {
+                wildNames.unshift(c + '**');
+                if (i > 1) {
+                    c += segments[segments.length - i] + '/';
+                }
+            }
+            wildNames.unshift(c + '*');
+        }
+        return wildNames;
+    }
+
+    // A null or undefined rate limit means no limit.
+    function _checkRateLimit(value) {
+        if (value !== null && value !== undefined) {
+            const rate = value.rate;
+            if (typeof rate !== 'number' || !(rate > 0) || !isFinite(rate)) {
+                throw 'invalid publishRateLimit rate ' + rate;
+            }
+        }
+        return value;
+    }
+
+    // Messages parsed from the network must be objects, to access their fields.
+    function _validMessages(messages) {
+        return messages.every(message => message !== null && typeof message === 'object' && !Array.isArray(message));
+    }
+
+    function _defineReceipt(message, receipt) {
+        if (receipt) {
+            // Non enumerable property 'receipt' to avoid serializing it.
+            Object.defineProperty(message, 'receipt', {
+                value: receipt
+            });
+        }
+        return message;
+    }
+
+    function _toJSON(messages) {
+        let content = '[';
+        messages.forEach((message, i) => {
+            if (i > 0) {
+                content += ',';
+            }
+            let json = message._json;
+            if (!json) {
+                json = JSON.stringify(message);
+            }
+            content += json;
+        });
+        content += ']';
+        return content;
+    }
+
+    const _compressors = {
+        br: zlib.brotliCompress,
+        gzip: zlib.gzip,
+        deflate: zlib.deflate
+    };
+
+    function _parseCookies(text) {
+        const cookies = {};
+        if (text) {
+            text.split(';').forEach(cookie => {
+                const parts = cookie.split('=');
+                if (parts.length > 1) {
+                    const name = parts[0].trim();
+                    cookies[name] = parts[1].trim();
+                }
+            });
+        }
+        return cookies;
+    }
+
     function ServerTransport(cometd) {
         this._option = (options, prefix, name, dftValue) => {
             let result = options[name];
@@ -191,6 +283,21 @@ module.exports = (() => {
             return this._option(cometd.options, '', name, dftValue);
         };
 
+        /**
+         * @param request the HTTP request
+         * @returns {boolean} whether this transport handles the given HTTP request
+         */
+        this.accept = request => false;
+
+        /**
+         * @param request the HTTP upgrade request
+         * @returns {boolean} whether this transport handles the given HTTP upgrade request
+         */
+        this.acceptUpgrade = request => false;
+
+        this.close = () => {
+        };
+
         return this;
     }
 
@@ -202,28 +309,15 @@ module.exports = (() => {
         return new F();
     };
 
-    function HTTPTransport(cometd) {
+    function HTTPTransport(cometd, prefix) {
         const _super = new ServerTransport(cometd);
         const _self = ServerTransport.extends(_super);
-        const _prefix = 'long-polling.json';
+        const _prefix = prefix || 'long-polling.json';
         const _sessions = {};
-        const _browserMetaConnects = {};
+        // Shared with the other HTTP transports, as the limit is per browser.
+        const _browserMetaConnects = cometd._browserMetaConnects;
         let _requests = 0;
 
-        function _parseCookies(text) {
-            const cookies = {};
-            if (text) {
-                text.split(';').forEach(cookie => {
-                    const parts = cookie.split('=');
-                    if (parts.length > 1) {
-                        const name = parts[0].trim();
-                        cookies[name] = parts[1].trim();
-                    }
-                });
-            }
-            return cookies;
-        }
-
         function _findSessions(cookies) {
             for (const cookie in cookies) {
                 if (Object.prototype.hasOwnProperty.call(cookies, cookie)) {
@@ -236,12 +330,12 @@ module.exports = (() => {
             return null;
         }
 
-        function _findSession(sessions, message) {
+        function _findSession(context, sessions, message) {
             if (message.channel === '/meta/handshake') {
                 return cometd._newServerSession();
             }
+            const sessionId = message.clientId;
             if (sessions) {
-                const sessionId = message.clientId;
                 for (let i = 0; i < sessions.length; ++i) {
                     const session = sessions[i];
                     if (session.id === sessionId) {
@@ -249,60 +343,128 @@ module.exports = (() => {
                     }
                 }
             }
+            const session = cometd.getServerSession(sessionId);
+            if (session) {
+                const browserId = context.cookies[_self.option('browserCookieName')];
+                if (browserId) {
+                    // The session may have been restored from the session store.
+                    if (session._browserId === browserId) {
+                        _addSession(session, browserId);
+                        return session;
+                    }
+                } else if (_self.option('trustClientSession') === true && _isBound(context, session, message)) {
+                    // Clients that do not keep cookies are
+                    // accounted with the synthetic browser id
+                    // generated for the session at handshake.
+                    return session;
+                }
+            }
             return null;
         }
 
+        function _sessionBindings() {
+            const bindings = _self.option('clientSessionBinding');
+            return bindings ? [].concat(bindings) : [];
+        }
+
+        function _isBound(context, session, message) {
+            const bindings = _sessionBindings();
+            if (bindings.indexOf('address') >= 0) {
+                if (session._remoteAddress !== context.request.socket.remoteAddress) {
+                    cometd._log(_prefix, 'remote address mismatch for session', session.id);
+                    return false;
+                }
+            }
+            if (bindings.indexOf('token') >= 0) {
+                const ext = message.ext;
+                if (!ext || !session._sessionToken || ext.sessionToken !== session._sessionToken) {
+                    cometd._log(_prefix, 'session token mismatch for session', session.id);
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        function _bindSession(context, session, reply) {
+            const bindings = _sessionBindings();
+            if (bindings.indexOf('address') >= 0) {
+                session._remoteAddress = context.request.socket.remoteAddress;
+            }
+            if (bindings.indexOf('token') >= 0) {
+                const token = crypto.randomBytes(20).toString('hex');
+                session._sessionToken = token;
+                let ext = reply.ext;
+                if (!ext) {
+                    ext = reply.ext = {};
+                }
+                ext.sessionToken = token;
+            }
+        }
+
+        function _addSession(session, browserId) {
+            let list = _sessions[browserId];
+            if (!list) {
+                list = [];
+                _sessions[browserId] = list;
+            }
+            list.push(session);
+            session._browserId = browserId;
+
+            session.addListener('removed', () => {
+                const i = list.indexOf(session);
+                if (i >= 0) {
+                    list.splice(i, 1);
+                }
+                if (list.length === 0) {
+                    delete _sessions[browserId];
+                    // Other transports may still hold /meta/connect for this browser.
+                    if (!_browserMetaConnects[browserId]) {
+                        delete _browserMetaConnects[browserId];
+                    }
+                }
+            });
+        }
+
         function _respond(context, local, session, callback) {
             const response = context.response;
             response.statusCode = 200;
-            response.setHeader('Content-Type', 'application/json');
 
-            let content = '[';
-            // Serialize the queue.
             let queue = [];
             if (session && local.sendQueue) {
                 queue = session._drainQueue(local.replies);
                 cometd._log(_prefix, 'sending', queue.length, 'queued messages for', session.id);
-                queue.forEach((m, i) => {
-                    if (i > 0) {
-                        content += ',';
-                    }
-                    let json = m._json;
-                    if (!json) {
-                        json = JSON.stringify(m);
-                    }
-                    content += json;
-                });
             }
-            // Serialize the replies.
+            const receipts = session ? session._takeReceipts(queue) : null;
             cometd._log(_prefix, 'sending', local.replies.length, 'replies for session', session ? session.id : 'null');
-            local.replies.forEach((reply, i) => {
-                if (i === 0) {
-                    if (queue.length > 0) {
-                        content += ',';
-                    }
-                } else if (i > 0) {
-                    content += ',';
-                }
-                let json = reply._json;
-                if (!json) {
-                    json = JSON.stringify(reply);
-                }
-                content += json;
-            });
-            content += ']';
+            // Serialize the queue first, then the replies.
+            let content = _toJSON(queue.concat(local.replies));
+            const jsonp = context.jsonp;
+            if (jsonp) {
+                response.setHeader('Content-Type', 'text/javascript;charset=utf-8');
+                content = jsonp + '(' + content + ');';
+            } else {
+                response.setHeader('Content-Type', 'application/json');
+            }
 
             const finish = failure => {
                 cometd._log(_prefix, 'request', '#' + context.id, 'finish for session', session ? session.id : 'null');
                 if (session && local.scheduleExpiration) {
                     session._scheduleExpiration(_self.option('interval'), _self.option('maxInterval'));
                 }
+                if (receipts) {
+                    receipts(failure);
+                }
                 callback(failure);
             };
 
             response.addListener('finish', () => {
                 finish();
             });
+            response.addListener('close', () => {
+                if (receipts && !response.writableFinished) {
+                    receipts(new Error('connection closed'));
+                }
+            });
             response.addListener('error', e => {
                 finish(e ? e : new Error('response error'));
             });
@@ -312,8 +474,64 @@ module.exports = (() => {
             } else if (!response.socket || response.socket.destroyed) {
                 finish(new Error('connection destroyed'));
             } else {
+                _end(context, content, finish);
+            }
+        }
+
+        function _negotiateEncoding(request) {
+            const compression = _self.option('compression');
+            if (!compression) {
+                return null;
+            }
+            const accepted = {};
+            const header = request.headers['accept-encoding'] || '';
+            header.split(',').forEach(value => {
+                const params = value.split(';');
+                const name = params[0].trim().toLowerCase();
+                let quality = 1;
+                for (let i = 1; i < params.length; ++i) {
+                    const param = params[i].split('=');
+                    if (param[0].trim() === 'q') {
+                        quality = parseFloat(param[1]);
+                    }
+                }
+                if (name && quality > 0) {
+                    accepted[name] = true;
+                }
+            });
+            // The server preference order wins over the client's.
+            const encodings = Array.isArray(compression) ? compression : ['br', 'gzip', 'deflate'];
+            for (let i = 0; i < encodings.length; ++i) {
+                const encoding = encodings[i];
+                if (_compressors[encoding] && (accepted[encoding] || accepted['*'])) {
+                    return encoding;
+                }
+            }
+            return null;
+        }
+
+        function _end(context, content, finish) {
+            const response = context.response;
+            if (_self.option('compression')) {
+                response.setHeader('Vary', 'Accept-Encoding');
+            }
+            const encoding = _negotiateEncoding(context.request);
+            if (!encoding || Buffer.byteLength(content, 'utf8') < _self.option('compressionThreshold')) {
                 response.end(content, 'utf8');
+                return;
             }
+            _compressors[encoding](Buffer.from(content, 'utf8'), (failure, compressed) => {
+                if (failure) {
+                    cometd._log(_prefix, 'request', '#' + context.id, 'compression failure', failure);
+                    response.end(content, 'utf8');
+                } else if (!response.socket || response.socket.destroyed) {
+                    finish(new Error('connection destroyed'));
+                } else {
+                    cometd._log(_prefix, 'request', '#' + context.id, 'compressed', content.length, 'chars to', compressed.length, 'bytes with', encoding);
+                    response.setHeader('Content-Encoding', encoding);
+                    response.end(compressed);
+                }
+            });
         }
 
         function _addBrowserMetaConnect(session) {
@@ -399,24 +617,10 @@ module.exports = (() => {
                             browserId = crypto.randomBytes(20).toString('hex');
                             context.response.setHeader('Set-Cookie', _generateCookie(cookieName, browserId));
                         }
-                        let list = _sessions[browserId];
-                        if (!list) {
-                            list = [];
-                            _sessions[browserId] = list;
+                        _addSession(session, browserId);
+                        if (_self.option('trustClientSession') === true) {
+                            _bindSession(context, session, reply);
                         }
-                        list.push(session);
-                        session._browserId = browserId;
-
-                        session.addListener('removed', () => {
-                            const i = list.indexOf(session);
-                            if (i >= 0) {
-                                list.splice(i, 1);
-                            }
-                            if (list.length === 0) {
-                                delete _sessions[browserId];
-                                delete _browserMetaConnects[browserId];
-                            }
-                        });
                         _advise(reply);
                     }
                     callback();
@@ -436,7 +640,7 @@ module.exports = (() => {
                 if (failure) {
                     callback(failure);
                 } else {
-                    const maySuspend = session && (!session._hasMessages || session._isBatching);
+                    const maySuspend = session && (!session._hasNonLazyMessages || session._isBatching);
                     const reply = message.reply;
                     if (canSuspend && maySuspend && reply.successful) {
                         const allowSuspend = _addBrowserMetaConnect(session);
@@ -515,13 +719,14 @@ module.exports = (() => {
             });
         }
 
-        function _processMessages(request, response, messages, callback) {
+        function _processMessages(request, response, messages, jsonp, callback) {
             // An internal context used by the implementation to avoid
             // modifying/altering that given to applications via cometd.context.
             const context = {
                 id: ++_requests,
                 request: request,
                 response: response,
+                jsonp: jsonp
             };
 
             cometd._log(_prefix, 'processing request', '#' + context.id, 'messages:', messages.length);
@@ -537,7 +742,7 @@ module.exports = (() => {
             const cookies = context.cookies = _parseCookies(request.headers.cookie);
             const sessions = _findSessions(cookies);
             const message = messages[0];
-            const session = _findSession(sessions, message);
+            const session = _findSession(context, sessions, message);
             cometd._log(_prefix, 'session', session ? session.id : 'null');
             const batch = session && message.channel !== '/meta/connect';
             if (batch) {
@@ -618,7 +823,8 @@ module.exports = (() => {
                                         if (reply) {
                                             local.replies.push(reply);
                                         }
-                                        local.sendQueue = !(session && session._metaConnectDeliveryOnly);
+                                        // Messages are delivered through the stream, if attached.
+                                        local.sendQueue = !(session && (session._metaConnectDeliveryOnly || session._streaming));
                                         // Leave scheduleExpiration unchanged.
                                         loop();
                                     }
@@ -645,32 +851,65 @@ module.exports = (() => {
             });
         }
 
-        function _process(request, response, messages) {
+        function _reject(request, response, reason, value) {
+            cometd._log(_prefix, 'rejecting request', reason, value, '>', _self.option(reason));
+            _notifyEvent(cometd.listeners('rejected'), [reason, request]);
+            response.statusCode = 413;
+            response.setHeader('Connection', 'close');
+            response.end(() => {
+                // Do not read the rest of the request content.
+                request.destroy();
+            });
+        }
+
+        function _process(request, response, messages, jsonp) {
+            const maxMessages = _self.option('maxMessagesPerRequest');
+            if (maxMessages > 0 && messages.length > maxMessages) {
+                _reject(request, response, 'maxMessagesPerRequest', messages.length);
+                return;
+            }
             // Sets the context used by applications, so that
             // they can access Node's request and response.
             cometd._setContext({
                 request: request,
                 response: response
             });
-            _processMessages(request, response, messages, () => {
+            _processMessages(request, response, messages, jsonp, () => {
                 cometd._setContext(null);
             });
         }
 
         _self.name = () => 'long-polling';
 
+        _self.accept = request => request.method === 'POST';
+
         _self.handle = (request, response) => {
             if (request.method === 'POST') {
                 if (request.body) {
                     _process(request, response, request.body);
                 } else {
-                    let content = '';
-                    // TODO: limit message size.
+                    const maxBytes = _self.option('maxRequestBytes');
+                    const chunks = [];
+                    let bytes = 0;
+                    let rejected = false;
                     request.addListener('data', chunk => {
-                        content += chunk;
+                        if (rejected) {
+                            return;
+                        }
+                        bytes += chunk.length;
+                        if (maxBytes > 0 && bytes > maxBytes) {
+                            rejected = true;
+                            _reject(request, response, 'maxRequestBytes', bytes);
+                        } else {
+                            chunks.push(chunk);
+                        }
                     });
                     request.addListener('end', () => {
+                        if (rejected) {
+                            return;
+                        }
                         try {
+                            const content = Buffer.concat(chunks).toString('utf8');
                             _process(request, response, JSON.parse(content));
                         } catch (failure) {
                             cometd._log(_prefix, failure.stack);
@@ -713,107 +952,978 @@ module.exports = (() => {
                 case 'duplicateMetaConnectHttpResponseCode':
                     dftValue = 500;
                     break;
+                case 'trustClientSession':
+                    dftValue = false;
+                    break;
+                case 'compression':
+                    dftValue = false;
+                    break;
+                case 'compressionThreshold':
+                    dftValue = 1024;
+                    break;
             }
             return this._option(cometd.options, _prefix, name, dftValue);
         };
 
+        // PRIVATE APIs.
+
+        _self._process = _process;
+        _self._reject = _reject;
+
         return _self;
     }
 
-    /**
-     * Representation of a channel.
-     *
-     * Events emitted:
-     * <ul>
-     *   <li><code>subscribed</code>, when a ServerSession has subscribed to this channel</li>
-     *   <li><code>message</code>, when a message arrives on this channel</li>
-     *   <li><code>unsubscribed</code>, when a ServerSession has unsubscribed from this channel</li>
-     * </ul>
-     *
-     * @param {CometDServer} cometd the CometD server object
-     * @param {string} name the channel name
-     * @returns {ServerChannel} a ServerChannel object
-     * @constructor
-     */
-    function ServerChannel(cometd, name) {
-        const _wildNames = [];
-        const _listeners = {};
-        const _subscribers = {};
+    function JSONPTransport(cometd) {
+        const _super = new HTTPTransport(cometd, 'long-polling.jsonp');
+        const _self = ServerTransport.extends(_super);
+        const _prefix = 'long-polling.jsonp';
 
-        if (!name || name.charAt(0) !== '/' || name === '/') {
-            throw 'invalid channel ' + name;
+        _self.name = () => 'callback-polling';
+
+        _self.accept = request => request.method === 'GET' && !/text\/event-stream/.test(request.headers.accept);
+
+        _self.handle = (request, response) => {
+            if (request.method === 'GET') {
+                const query = new URL(request.url, 'http://localhost').searchParams;
+                const jsonp = query.get(_self.option('callbackParameter'));
+                const content = query.get('message');
+                if (!jsonp || !/^[\w$.]+$/.test(jsonp) || jsonp.length > _self.option('maxCallbackLength')) {
+                    cometd._log(_prefix, 'invalid callback', jsonp);
+                    response.statusCode = 400;
+                    response.end();
+                } else if (!content) {
+                    cometd._log(_prefix, 'missing message parameter');
+                    response.statusCode = 400;
+                    response.end();
+                } else if (_self.option('maxRequestBytes') > 0 && Buffer.byteLength(content) > _self.option('maxRequestBytes')) {
+                    _super._reject(request, response, 'maxRequestBytes', Buffer.byteLength(content));
+                } else {
+                    let messages;
+                    try {
+                        messages = JSON.parse(content);
+                    } catch (failure) {
+                        cometd._log(_prefix, failure.stack);
+                        response.statusCode = 400;
+                        response.end();
+                        return;
+                    }
+                    if (!Array.isArray(messages)) {
+                        messages = [messages];
+                    }
+                    if (!_validMessages(messages)) {
+                        cometd._log(_prefix, 'invalid messages', messages);
+                        response.statusCode = 400;
+                        response.end();
+                        return;
+                    }
+                    _super._process(request, response, messages, jsonp);
+                }
+            } else {
+                response.statusCode = 400;
+                response.end();
+            }
+        };
+
+        _self.option = function(name) {
+            const result = _super.option(name);
+            if (result !== undefined) {
+                return result;
+            }
+            let dftValue = undefined;
+            switch (name) {
+                case 'callbackParameter':
+                    dftValue = 'jsonp';
+                    break;
+                case 'maxCallbackLength':
+                    dftValue = 64;
+                    break;
+            }
+            return this._option(cometd.options, _prefix, name, dftValue);
+        };
+
+        return _self;
+    }
+
+    function EventSourceTransport(cometd) {
+        const _super = new ServerTransport(cometd);
+        const _self = ServerTransport.extends(_super);
+        const _prefix = 'sse';
+        const _streams = [];
+        let _requests = 0;
+
+        function _write(stream, content, callback) {
+            const response = stream.response;
+            if (response.writableEnded || !response.socket || response.socket.destroyed) {
+                return false;
+            }
+            response.write(content, 'utf8', callback);
+            return true;
         }
-        const segments = name.split('/');
-        const lastSegment = segments[segments.length - 1];
-        if (lastSegment !== '*' && lastSegment !== '**') {
-            let c = '/';
-            for (let i = segments.length - 1; i > 0; --i) {
-                _wildNames.unshift(c + '**');
-                if (i > 1) {
-                    c += segments[segments.length - i] + '/';
+
+        function _send(stream) {
+            const session = stream.session;
+            const queue = session._drainQueue([]);
+            if (queue.length > 0) {
+                cometd._log(_prefix, 'sending', queue.length, 'queued messages for', session.id);
+                const receipts = session._takeReceipts(queue);
+                // Serialized messages never contain new lines,
+                // so each queue is sent as a single-line event.
+                if (!_write(stream, 'data: ' + _toJSON(queue) + '\n\n', failure => receipts(failure || undefined))) {
+                    cometd._log(_prefix, 'stream', '#' + stream.id, 'closed, cannot send for session', session.id);
+                    receipts(new Error('stream closed'));
                 }
             }
-            _wildNames.unshift(c + '*');
         }
 
-        function _noop() {
+        function _close(stream) {
+            const i = _streams.indexOf(stream);
+            if (i >= 0) {
+                _streams.splice(i, 1);
+                clearInterval(stream.heartbeat);
+                const session = stream.session;
+                if (session._scheduler === stream.scheduler) {
+                    session._scheduler = null;
+                    session._streaming = false;
+                }
+                // Without the stream, the session must be able to expire.
+                session._scheduleExpiration(_self.option('interval'), _self.option('maxInterval'));
+                cometd._log(_prefix, 'closed stream', '#' + stream.id, 'for session', session.id);
+            }
         }
 
-        return {
-            /**
-             * @returns {string} the channel name
-             */
-            get name() {
-                return name;
-            },
-            /**
-             * @returns {boolean} whether this channel is a meta channel
-             */
-            get meta() {
-                return /^\/meta\//.test(name);
-            },
-            /**
-             * @returns {boolean} whether this channel is a service channel
-             */
-            get service() {
-                return /^\/service\//.test(name);
-            },
-            /**
-             * @returns {boolean} whether this channel is a broadcast channel
-             */
-            get broadcast() {
-                return !this.meta && !this.service;
-            },
-            /**
-             * @returns {string[]} the list of parent wild channels
-             */
-            get wildNames() {
-                return _wildNames;
-            },
-            /**
-             * Publishes a message to all subscribers.
-             *
-             * @param {ServerSession} [sender] the session that sends the message
-             * @param {*} data the message data
-             * @param {boolCallbackFn} [callback] the callback notified when the publish completes
-             */
-            publish: function(sender, data, callback) {
-                callback = callback || _noop;
-                cometd._publish(this, sender, {
-                    channel: name,
-                    data: data
-                }, false, callback);
-            },
-            /**
-             * @param event the event type
-             * @returns {function[]} the listeners for the given event
-             */
-            listeners: event => _listeners[event] || [],
-            /**
-             * Adds a listener function for the given event.
-             *
-             * @param {string} event the event type
-             * @param {function} fn the listener function
+        function _open(request, response, session) {
+            const previous = session._scheduler;
+            if (previous) {
+                previous.cancel();
+            }
+            session._cancelExpiration(true);
+
+            const stream = {
+                id: ++_requests,
+                response: response,
+                session: session,
+                heartbeat: null
+            };
+            stream.scheduler = {
+                resume: () => {
+                    _send(stream);
+                    if (!session._handshaken) {
+                        // The session has been disconnected.
+                        _close(stream);
+                        response.end();
+                    }
+                },
+                cancel: () => {
+                    _close(stream);
+                    response.end();
+                }
+            };
+            _streams.push(stream);
+            session._scheduler = stream.scheduler;
+            session._streaming = true;
+            cometd._log(_prefix, 'opened stream', '#' + stream.id, 'for session', session.id);
+
+            response.addListener('close', () => {
+                _close(stream);
+            });
+            response.addListener('error', e => {
+                cometd._log(_prefix, 'stream', '#' + stream.id, 'error', e);
+                _close(stream);
+            });
+
+            response.statusCode = 200;
+            response.setHeader('Content-Type', 'text/event-stream;charset=utf-8');
+            response.setHeader('Cache-Control', 'no-cache');
+            const interval = session._calculateInterval(_self.option('interval'));
+            // The first write commits the response, even if the queue is empty.
+            _write(stream, interval > 0 ? 'retry: ' + interval + '\n\n' : ':\n\n');
+
+            // Heartbeat comments keep the stream alive and detect broken connections.
+            stream.heartbeat = setInterval(() => {
+                if (!_write(stream, ':\n\n')) {
+                    _close(stream);
+                }
+            }, _self.option('timeout'));
+
+            _send(stream);
+        }
+
+        function _unknown(response) {
+            const reply = {
+                channel: '/meta/connect',
+                successful: false,
+                error: '402::session_unknown',
+                advice: {
+                    reconnect: 'handshake',
+                    interval: 0
+                }
+            };
+            response.statusCode = 200;
+            response.setHeader('Content-Type', 'text/event-stream;charset=utf-8');
+            response.end('data: ' + _toJSON([reply]) + '\n\n', 'utf8');
+        }
+
+        _self.name = () => 'sse';
+
+        _self.accept = request => request.method === 'GET' && /text\/event-stream/.test(request.headers.accept);
+
+        _self.handle = (request, response) => {
+            if (request.method === 'GET') {
+                const query = new URL(request.url, 'http://localhost').searchParams;
+                const session = cometd.getServerSession(query.get('clientId'));
+                const browserId = _parseCookies(request.headers.cookie)[_self.option('browserCookieName')];
+                if (!session || (session._browserId && session._browserId !== browserId)) {
+                    cometd._log(_prefix, 'unknown session', query.get('clientId'));
+                    _unknown(response);
+                } else {
+                    _open(request, response, session);
+                }
+            } else {
+                response.statusCode = 400;
+                response.end();
+            }
+        };
+
+        _self.option = function(name) {
+            const result = this._option(cometd.options, _prefix, name, undefined);
+            if (result !== undefined) {
+                return result;
+            }
+            if (name === 'browserCookieName') {
+                return 'BAYEUX_BROWSER';
+            }
+            return _super.option(name);
+        };
+
+        _self.close = () => {
+            // Slice the array because closing modifies _streams during the iteration.
+            _streams.slice().forEach(stream => {
+                stream.scheduler.cancel();
+            });
+        };
+
+        return _self;
+    }
+
+    function WebSocketTransport(cometd) {
+        const _super = new ServerTransport(cometd);
+        const _self = ServerTransport.extends(_super);
+        const _prefix = 'ws';
+        const _contexts = [];
+        let _wsServer = null;
+        let _connections = 0;
+
+        function _advise(reply) {
+            let advice = reply.advice;
+            if (!advice) {
+                advice = reply.advice = {};
+            }
+            advice.reconnect = 'retry';
+            advice.timeout = _self.option('timeout');
+            advice.interval = _self.option('interval');
+        }
+
+        function _findSession(context, message) {
+            if (message.channel === '/meta/handshake') {
+                return cometd._newServerSession();
+            }
+            const session = context.session;
+            if (session && session.id === message.clientId) {
+                return session;
+            }
+            // The client may have handshaken with another transport.
+            return cometd.getServerSession(message.clientId) || null;
+        }
+
+        function _send(context, session, local) {
+            if (session && local.scheduleExpiration) {
+                session._scheduleExpiration(_self.option('interval'), _self.option('maxInterval'));
+            }
+            const socket = context.socket;
+            if (socket.readyState !== WebSocket.OPEN) {
+                cometd._log(_prefix, 'connection', '#' + context.id, 'closed, cannot send for session', session ? session.id : 'null');
+                return;
+            }
+            let queue = [];
+            if (session && local.sendQueue) {
+                queue = session._drainQueue(local.replies);
+                cometd._log(_prefix, 'sending', queue.length, 'queued messages for', session.id);
+            }
+            cometd._log(_prefix, 'sending', local.replies.length, 'replies for session', session ? session.id : 'null');
+            const receipts = session ? session._takeReceipts(queue) : null;
+            const messages = queue.concat(local.replies);
+            if (messages.length > 0) {
+                socket.send(_toJSON(messages), failure => {
+                    if (failure) {
+                        cometd._log(_prefix, 'connection', '#' + context.id, 'send failure', failure);
+                    }
+                    if (receipts) {
+                        receipts(failure || undefined);
+                    }
+                });
+            }
+        }
+
+        function _reject(context, reason, value) {
+            cometd._log(_prefix, 'rejecting message', 'connection', '#' + context.id, reason, value, '>', _self.option(reason));
+            _notifyEvent(cometd.listeners('rejected'), [reason, context.request]);
+            context.socket.close(1009, 'message too big');
+        }
+
+        function _processMetaHandshake(context, session, message, callback) {
+            cometd._process(session, message, failure => {
+                if (failure) {
+                    callback(failure);
+                } else {
+                    const reply = message.reply;
+                    if (reply.successful) {
+                        context.session = session;
+                        _advise(reply);
+                    }
+                    callback();
+                }
+            });
+        }
+
+        function _processMetaConnect(context, session, message, canSuspend, callback) {
+            if (session) {
+                const scheduler = session._scheduler;
+                if (scheduler) {
+                    scheduler.cancel();
+                }
+            }
+
+            cometd._process(session, message, failure => {
+                if (failure) {
+                    callback(failure);
+                } else {
+                    const maySuspend = session && (!session._hasNonLazyMessages || session._isBatching);
+                    const reply = message.reply;
+                    if (reply.successful) {
+                        context.session = session;
+                    }
+                    if (canSuspend && maySuspend && reply.successful) {
+                        if (message.advice) {
+                            _advise(reply);
+                        }
+                        const timeout = session._calculateTimeout(_self.option('timeout'));
+                        if (timeout > 0) {
+                            const scheduler = {
+                                resume: function() {
+                                    if (this._timeout) {
+                                        if (session._metaConnectDeliveryOnly || !session._handshaken) {
+                                            clearTimeout(this._timeout);
+                                            this._timeout = null;
+                                            session._scheduler = null;
+                                            context.scheduler = null;
+                                            _notifyEvent(session.listeners('resumed'), [session, message, false]);
+                                            cometd._log(_prefix, 'resumed wakeup', message);
+                                            callback();
+                                        } else {
+                                            // Messages can be pushed to the client
+                                            // without replying to the /meta/connect.
+                                            _send(context, session, {
+                                                sendQueue: true,
+                                                replies: [],
+                                                scheduleExpiration: false
+                                            });
+                                        }
+                                    }
+                                },
+                                cancel: function() {
+                                    if (this._timeout) {
+                                        clearTimeout(this._timeout);
+                                        this._timeout = null;
+                                        session._scheduler = null;
+                                        context.scheduler = null;
+                                        cometd._log(_prefix, 'cancelled', message);
+                                    }
+                                },
+                                _expired: function() {
+                                    if (this._timeout) {
+                                        this._timeout = null;
+                                        session._scheduler = null;
+                                        context.scheduler = null;
+                                        _notifyEvent(session.listeners('resumed'), [session, message, true]);
+                                        cometd._log(_prefix, 'resumed expire', message);
+                                        callback();
+                                    }
+                                }
+                            };
+                            scheduler._timeout = setTimeout(() => {
+                                scheduler._expired.call(scheduler);
+                            }, timeout);
+                            session._scheduler = scheduler;
+                            context.scheduler = scheduler;
+                            cometd._log(_prefix, 'suspended', message);
+                            _notifyEvent(session.listeners('suspended'), [session, message, timeout]);
+                        } else {
+                            callback();
+                        }
+                    } else {
+                        callback();
+                    }
+                }
+            });
+        }
+
+        function _processMessages(context, messages) {
+            cometd._log(_prefix, 'processing', 'connection', '#' + context.id, 'messages:', messages.length);
+
+            if (messages.length === 0) {
+                cometd._log(_prefix, 'invalid message', 'connection', '#' + context.id, 'no messages');
+                context.socket.close(1002, 'invalid message');
+                return;
+            }
+
+            const maxMessages = _self.option('maxMessagesPerRequest');
+            if (maxMessages > 0 && messages.length > maxMessages) {
+                _reject(context, 'maxMessagesPerRequest', messages.length);
+                return;
+            }
+
+            const message = messages[0];
+            const session = _findSession(context, message);
+            cometd._log(_prefix, 'session', session ? session.id : 'null');
+            const batch = session && message.channel !== '/meta/connect';
+            if (batch) {
+                session._startBatch();
+            }
+
+            const local = {
+                sendQueue: false,
+                replies: [],
+                scheduleExpiration: false
+            };
+
+            function _reply(message, loop) {
+                cometd._extendReply(session, message.reply, (failure, reply) => {
+                    if (failure) {
+                        loop(failure);
+                    } else {
+                        reply = _serialize(reply);
+                        cometd._log(_prefix, 'reply', reply);
+                        if (reply) {
+                            local.replies.push(reply);
+                        }
+                        loop();
+                    }
+                });
+            }
+
+            // Sets the context used by applications, so that
+            // they can access Node's upgrade request.
+            cometd._setContext({
+                request: context.request
+            });
+            _asyncFoldLeft(messages, undefined, (ignored, message, loop) => {
+                cometd._log(_prefix, 'processing', message);
+                switch (message.channel) {
+                    case '/meta/handshake': {
+                        _processMetaHandshake(context, session, message, failure => {
+                            if (failure) {
+                                loop(failure);
+                            } else if (messages.length > 1) {
+                                loop(new Error('protocol violation'));
+                            } else {
+                                local.sendQueue = false;
+                                local.scheduleExpiration = true;
+                                _reply(message, loop);
+                            }
+                        });
+                        break;
+                    }
+                    case '/meta/connect': {
+                        const canSuspend = messages.length === 1;
+                        _processMetaConnect(context, session, message, canSuspend, failure => {
+                            if (failure) {
+                                loop(failure);
+                            } else {
+                                local.sendQueue = true;
+                                local.scheduleExpiration = true;
+                                _reply(message, loop);
+                            }
+                        });
+                        break;
+                    }
+                    default: {
+                        cometd._process(session, message, failure => {
+                            if (failure) {
+                                loop(failure);
+                            } else {
+                                local.sendQueue = !(session && session._metaConnectDeliveryOnly);
+                                // Leave scheduleExpiration unchanged.
+                                _reply(message, loop);
+                            }
+                        });
+                    }
+                }
+            }, failure => {
+                cometd._setContext(null);
+                if (failure) {
+                    cometd._log(_prefix, 'connection', '#' + context.id, 'failure for session', session ? session.id : 'null', failure);
+                    context.socket.close(1011, 'processing failure');
+                } else {
+                    _send(context, session, local);
+                }
+                if (batch) {
+                    session._endBatch();
+                }
+            });
+        }
+
+        function _open(socket, request) {
+            const context = {
+                id: ++_connections,
+                request: request,
+                socket: socket,
+                session: null,
+                scheduler: null
+            };
+            _contexts.push(context);
+            cometd._log(_prefix, 'opened connection', '#' + context.id);
+
+            socket.on('message', data => {
+                let messages;
+                try {
+                    messages = JSON.parse(data);
+                } catch (failure) {
+                    cometd._log(_prefix, 'connection', '#' + context.id, failure.stack);
+                    socket.close(1002, 'invalid message');
+                    return;
+                }
+                if (!Array.isArray(messages)) {
+                    messages = [messages];
+                }
+                if (!_validMessages(messages)) {
+                    cometd._log(_prefix, 'connection', '#' + context.id, 'invalid messages', messages);
+                    socket.close(1002, 'invalid message');
+                    return;
+                }
+                _processMessages(context, messages);
+            });
+            socket.on('error', e => {
+                cometd._log(_prefix, 'connection', '#' + context.id, 'error', e);
+                if (e.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+                    // The WebSocket library already closed the connection.
+                    _notifyEvent(cometd.listeners('rejected'), ['maxRequestBytes', request]);
+                }
+            });
+            socket.on('close', (code, reason) => {
+                cometd._log(_prefix, 'closed connection', '#' + context.id, code, String(reason));
+                const i = _contexts.indexOf(context);
+                if (i >= 0) {
+                    _contexts.splice(i, 1);
+                }
+                const session = context.session;
+                if (session && context.scheduler) {
+                    context.scheduler.cancel();
+                    // The /meta/connect will never be replied,
+                    // so the session must be able to expire.
+                    session._scheduleExpiration(_self.option('interval'), _self.option('maxInterval'));
+                }
+            });
+        }
+
+        _self.name = () => 'websocket';
+
+        _self.acceptUpgrade = request => /^websocket$/i.test(request.headers.upgrade);
+
+        _self.option = function(name) {
+            const result = this._option(cometd.options, _prefix, name, undefined);
+            if (result !== undefined) {
+                return result;
+            }
+            return _super.option(name);
+        };
+
+        _self.handleUpgrade = (request, socket, head) => {
+            if (!_wsServer) {
+                const maxBytes = _self.option('maxRequestBytes');
+                const wsOptions = {
+                    noServer: true
+                };
+                // Keep the WebSocket library default limit if no limit is configured.
+                if (maxBytes > 0) {
+                    wsOptions.maxPayload = maxBytes;
+                }
+                _wsServer = new WebSocket.Server(wsOptions);
+            }
+            _wsServer.handleUpgrade(request, socket, head, _open);
+        };
+
+        _self.close = () => {
+            // Slice the array because closing modifies _contexts during the iteration.
+            _contexts.slice().forEach(context => {
+                context.socket.close(1001, 'server shutdown');
+            });
+            if (_wsServer) {
+                _wsServer.close();
+                _wsServer = null;
+            }
+        };
+
+        return _self;
+    }
+
+    /**
+     * A channel template, such as <code>/chat/{room}/{user}</code>, where
+     * each <code>{variable}</code> segment matches one channel name segment.
+     * <pre>
+     * const template = cometd.createChannelTemplate('/chat/{room}/{user}');
+     * template.match('/chat/lobby/alice'); // {room: 'lobby', user: 'alice'}
+     * template.match('/chat/lobby'); // null
+     * </pre>
+     *
+     * @param {string} template the channel template
+     * @returns {ChannelTemplate} a ChannelTemplate object
+     * @constructor
+     */
+    function ChannelTemplate(template) {
+        if (!template || template.charAt(0) !== '/' || template === '/') {
+            throw 'invalid channel template ' + template;
+        }
+        const _segments = template.split('/').slice(1);
+        const _variables = [];
+        let _wildName;
+        _segments.forEach((segment, i) => {
+            const match = /^{(\w+)}$/.exec(segment);
+            if (match) {
+                if (_variables.indexOf(match[1]) >= 0) {
+                    throw 'duplicate variable ' + match[1] + ' in channel template ' + template;
+                }
+                _variables.push(match[1]);
+                if (!_wildName) {
+                    const prefix = '/' + _segments.slice(0, i).map(s => s + '/').join('');
+                    _wildName = prefix + (i === _segments.length - 1 ? '*' : '**');
+                }
+            } else if (segment === '' || /[{}*]/.test(segment)) {
+                throw 'invalid channel template ' + template;
+            }
+        });
+
+        return {
+            /**
+             * @returns {string} the channel template
+             */
+            get template() {
+                return template;
+            },
+            /**
+             * @returns {string[]} the names of the variables of this template
+             */
+            get variables() {
+                return _variables.slice();
+            },
+            /**
+             * @returns {string} the name of the channel that matches all the channels
+             * this template may match: a wildcard channel, or the template itself if
+             * it has no variables
+             */
+            get wildName() {
+                return _wildName || template;
+            },
+            /**
+             * @param {string} channelName the channel name to match
+             * @returns {?object.<string, string>} the variables bound by the given
+             * channel name, or null if the channel name does not match this template
+             */
+            match: channelName => {
+                const segments = (channelName || '').split('/').slice(1);
+                if (segments.length !== _segments.length) {
+                    return null;
+                }
+                const result = {};
+                for (let i = 0; i < segments.length; ++i) {
+                    const segment = _segments[i];
+                    if (segment.charAt(0) === '{') {
+                        const value = segments[i];
+                        if (value === '' || value === '*' || value === '**') {
+                            return null;
+                        }
+                        result[segment.substring(1, segment.length - 1)] = value;
+                    } else if (segment !== segments[i]) {
+                        return null;
+                    }
+                }
+                return result;
+            }
+        };
+    }
+
+    /**
+     * Representation of a channel.
+     *
+     * Events emitted:
+     * <ul>
+     *   <li><code>subscribed</code>, when a ServerSession has subscribed to this channel</li>
+     *   <li><code>message</code>, when a message arrives on this channel</li>
+     *   <li><code>unsubscribed</code>, when a ServerSession has unsubscribed from this channel</li>
+     * </ul>
+     *
+     * @param {CometDServer} cometd the CometD server object
+     * @param {string} name the channel name
+     * @returns {ServerChannel} a ServerChannel object
+     * @constructor
+     */
+    function ServerChannel(cometd, name) {
+        const _listeners = {};
+        const _authorizers = [];
+        const _dataFilters = [];
+        const _subscribers = {};
+        let _lazy = false;
+        let _persistent = false;
+        let _idleTime = 0;
+        let _broadcastToPublisher;
+        let _publishRateLimit = null;
+        let _history = null;
+        let _retained = [];
+        let _sequence = 0;
+        let _presence = false;
+        // Session id -> member key, and member key -> number of sessions.
+        const _memberKeys = new Map();
+        const _members = new Map();
+
+        if (!name || name.charAt(0) !== '/' || name === '/') {
+            throw 'invalid channel ' + name;
+        }
+        const _wildNames = _channelWildNames(name);
+
+        function _noop() {
+        }
+
+        function _inUse() {
+            for (let id in _subscribers) {
+                if (_subscribers.hasOwnProperty(id)) {
+                    return true;
+                }
+            }
+            for (let event in _listeners) {
+                if (_listeners.hasOwnProperty(event)) {
+                    return true;
+                }
+            }
+            return _authorizers.length > 0 || _dataFilters.length > 0 || _history !== null || _presence;
+        }
+
+        // A principal with multiple sessions joins with
+        // the first session and leaves with the last one.
+        function _join(session) {
+            const key = session.principal !== undefined && session.principal !== null ? session.principal : session._memberKey;
+            _memberKeys.set(session.id, key);
+            const count = _members.get(key) || 0;
+            _members.set(key, count + 1);
+            return count === 0 ? key : undefined;
+        }
+
+        function _leave(session) {
+            if (!_memberKeys.has(session.id)) {
+                return undefined;
+            }
+            const key = _memberKeys.get(session.id);
+            _memberKeys.delete(session.id);
+            const count = _members.get(key) - 1;
+            if (count > 0) {
+                _members.set(key, count);
+                return undefined;
+            }
+            _members.delete(key);
+            return key;
+        }
+
+        function _publishPresence(type, member) {
+            if (member !== undefined) {
+                cometd.createServerChannel('/presence' + name).publish(null, {
+                    channel: name,
+                    type: type,
+                    member: member
+                });
+            }
+        }
+
+        function _prune() {
+            if (_history.maxAge > 0) {
+                const oldest = Date.now() - _history.maxAge;
+                _retained = _retained.filter(entry => entry.time >= oldest);
+            }
+            if (_history.size >= 0 && _retained.length > _history.size) {
+                _retained = _retained.slice(_retained.length - _history.size);
+            }
+        }
+
+        return {
+            /**
+             * @returns {string} the channel name
+             */
+            get name() {
+                return name;
+            },
+            /**
+             * @returns {boolean} whether this channel is a meta channel
+             */
+            get meta() {
+                return /^\/meta\//.test(name);
+            },
+            /**
+             * @returns {boolean} whether this channel is a service channel
+             */
+            get service() {
+                return /^\/service\//.test(name);
+            },
+            /**
+             * @returns {boolean} whether this channel is a broadcast channel
+             */
+            get broadcast() {
+                return !this.meta && !this.service;
+            },
+            /**
+             * @returns {string[]} the list of parent wild channels
+             */
+            get wildNames() {
+                return _wildNames;
+            },
+            /**
+             * Messages published to a lazy channel are delivered to subscribers
+             * only when a non-lazy message is delivered to them, or when the
+             * <code>maxLazyInterval</code> expires.
+             * Lazy wildcard channels make lazy all the channels they match.
+             *
+             * @returns {boolean} whether this channel is lazy
+             */
+            get lazy() {
+                return _lazy;
+            },
+            set lazy(value) {
+                _lazy = value;
+            },
+            /**
+             * Persistent channels are never removed by the sweeper, while
+             * non-persistent channels are removed when they have not been
+             * in use for the <code>channelIdleTimeout</code>.
+             *
+             * @returns {boolean} whether this channel is persistent
+             */
+            get persistent() {
+                return _persistent;
+            },
+            set persistent(value) {
+                _persistent = value;
+            },
+            /**
+             * Whether messages published to this channel are delivered back to
+             * the publisher, if it is subscribed; when undefined, the
+             * <code>broadcastToPublisher</code> server option applies.
+             *
+             * @returns {boolean|undefined} whether to deliver messages to the publisher
+             */
+            get broadcastToPublisher() {
+                return _broadcastToPublisher;
+            },
+            set broadcastToPublisher(value) {
+                _broadcastToPublisher = value;
+            },
+            /**
+             * @typedef {object} RateLimit
+             * @property {number} rate the number of messages per second
+             * @property {number} [burst] the max number of messages in a burst, by default the rate
+             */
+            /**
+             * The limit to the rate at which each session can publish to this channel.
+             * The limit of a wildcard channel applies to each session publishing
+             * to any of the channels it matches, as a whole.
+             *
+             * @returns {?RateLimit} the publish rate limit, or null if there is no limit
+             */
+            get publishRateLimit() {
+                return _publishRateLimit;
+            },
+            set publishRateLimit(value) {
+                _publishRateLimit = _checkRateLimit(value);
+            },
+            /**
+             * @typedef {object} History
+             * @property {number} [size] the max number of messages to retain
+             * @property {number} [maxAge] the max age, in milliseconds, of the messages to retain
+             */
+            /**
+             * The configuration of the retention of the messages published to this channel.
+             * Retained messages are delivered to new subscribers, and carry
+             * a sequence number in the <code>ext.seq</code> field.
+             *
+             * @returns {?History} the history configuration, or null if messages are not retained
+             */
+            get history() {
+                return _history;
+            },
+            set history(value) {
+                _history = value;
+                if (!value) {
+                    _retained = [];
+                }
+            },
+            /**
+             * Whether this channel tracks its members, that is the principals of the
+             * subscribed sessions, or opaque per-session keys for sessions without principal.
+             * Members that join or leave are published to the companion channel
+             * <code>'/presence' + name</code>, and the current members can be queried
+             * by clients on the <code>/service/presence</code> channel.
+             *
+             * @returns {boolean} whether this channel tracks its members
+             */
+            get presence() {
+                return _presence;
+            },
+            set presence(value) {
+                if (value && !_presence) {
+                    for (let id in _subscribers) {
+                        if (_subscribers.hasOwnProperty(id)) {
+                            _join(_subscribers[id]);
+                        }
+                    }
+                    cometd._enablePresence();
+                } else if (!value) {
+                    _memberKeys.clear();
+                    _members.clear();
+                }
+                _presence = !!value;
+            },
+            /**
+             * @returns {Array} the members of this channel, if presence is enabled
+             */
+            get members() {
+                return Array.from(_members.keys());
+            },
+            /**
+             * @callback receiptFn
+             * @param {Error} [failure] the failure error, if the message could not be written
+             * @param {ServerSession} session the session the message has been written to
+             */
+            /**
+             * Publishes a message to all subscribers.
+             *
+             * @param {ServerSession} [sender] the session that sends the message
+             * @param {*} data the message data
+             * @param {boolCallbackFn} [callback] the callback notified when the publish completes
+             * @param {receiptFn} [receipt] the function notified, for each subscriber,
+             * when the message has been written to the subscriber, or when it could not be written
+             */
+            publish: function(sender, data, callback, receipt) {
+                callback = callback || _noop;
+                cometd._publish(this, sender, _defineReceipt(_defineLazy({
+                    channel: name,
+                    data: data
+                }), receipt), false, callback);
+            },
+            /**
+             * @param event the event type
+             * @returns {function[]} the listeners for the given event
+             */
+            listeners: event => _listeners[event] || [],
+            /**
+             * Adds a listener function for the given event.
+             *
+             * @param {string} event the event type
+             * @param {function} fn the listener function
              */
             addListener: (event, fn) => {
                 _addListener(_listeners, event, fn);
@@ -827,6 +1937,86 @@ module.exports = (() => {
             removeListener: (event, fn) => {
                 return _removeListener(_listeners, event, fn);
             },
+            /**
+             * @callback authorizerFn
+             * @param {string} operation the operation to authorize: 'create', 'subscribe' or 'publish'
+             * @param {string} channelName the name of the channel the operation applies to
+             * @param {ServerSession} session the session that performs the operation
+             * @param {object} message the message that triggered the operation
+             * @param {anyCallbackFn} callback the callback to complete with 'grant', 'deny' or 'ignore'
+             */
+            /**
+             * Adds the given authorizer to this channel.
+             * Authorizers added to wildcard channels apply to all the channels they match.
+             * After the security policy grants an operation, the operation is granted
+             * only if at least one authorizer grants it and none denies it; if there are
+             * no authorizers for a channel, the operation is granted.
+             *
+             * @param {authorizerFn} authorizer the authorizer to add
+             */
+            addAuthorizer: authorizer => {
+                _authorizers.push(authorizer);
+            },
+            /**
+             * Removes the given authorizer from this channel.
+             *
+             * @param {authorizerFn} authorizer the authorizer to remove
+             * @returns {boolean} whether the authorizer was removed
+             */
+            removeAuthorizer: authorizer => {
+                const index = _authorizers.indexOf(authorizer);
+                if (index >= 0) {
+                    _authorizers.splice(index, 1);
+                    return true;
+                }
+                return false;
+            },
+            /**
+             * @returns {authorizerFn[]} the list of authorizers of this channel
+             */
+            get authorizers() {
+                return _authorizers.slice();
+            },
+            /**
+             * @callback dataFilterFn
+             * @param {ServerSession} session the session that published the message
+             * @param {ServerChannel} channel the channel the message is published to
+             * @param {*} data the message data, as returned by the previous filter
+             * @param {function} callback the callback to complete with the failure, the
+             * filtered data and, to reject the message, the Bayeux error of the rejection
+             */
+            /**
+             * Adds the given data filter to this channel.
+             * Data filters added to wildcard channels apply to all the channels they match,
+             * and are evaluated before the data filters of the channel itself.
+             * Data filters are evaluated, in order, for messages published by sessions,
+             * after the publish has been authorized.
+             *
+             * @param {dataFilterFn} filter the data filter to add
+             */
+            addDataFilter: filter => {
+                _dataFilters.push(filter);
+            },
+            /**
+             * Removes the given data filter from this channel.
+             *
+             * @param {dataFilterFn} filter the data filter to remove
+             * @returns {boolean} whether the data filter was removed
+             */
+            removeDataFilter: filter => {
+                const index = _dataFilters.indexOf(filter);
+                if (index >= 0) {
+                    _dataFilters.splice(index, 1);
+                    return true;
+                }
+                return false;
+            },
+            /**
+             * @returns {dataFilterFn[]} the list of data filters of this channel
+             */
+            get dataFilters() {
+                return _dataFilters.slice();
+            },
             /**
              * @returns {ServerSession[]} the list of ServerSession subscribed to this channel
              */
@@ -842,6 +2032,28 @@ module.exports = (() => {
 
             // PRIVATE APIs.
 
+            _record: message => {
+                if (!_history) {
+                    return;
+                }
+                const seq = ++_sequence;
+                message.ext = _mixin({}, message.ext, {seq: seq});
+                _retained.push({
+                    seq: seq,
+                    time: Date.now(),
+                    // A copy without the non enumerable properties, such as the
+                    // receipt, that must not be notified again when replaying.
+                    message: _mixin({}, message)
+                });
+                _prune();
+            },
+            _retainedSince: since => {
+                if (!_history) {
+                    return [];
+                }
+                _prune();
+                return _retained.filter(entry => entry.seq > since).map(entry => entry.message);
+            },
             _subscribe: function(session, message, callback) {
                 if (!session._handshaken || this.meta) {
                     callback(undefined, false);
@@ -853,6 +2065,9 @@ module.exports = (() => {
                             session._subscribed(this);
                             _notifyEvent(this.listeners('subscribed'), [this, session, message]);
                             _notifyEvent(cometd.listeners('subscribed'), [this, session, message]);
+                            if (_presence) {
+                                _publishPresence('join', _join(session));
+                            }
                         }
                     }
                     callback(undefined, true);
@@ -865,24 +2080,27 @@ module.exports = (() => {
                     session._unsubscribed(this);
                     _notifyEvent(this.listeners('unsubscribed'), [this, session, message]);
                     _notifyEvent(cometd.listeners('unsubscribed'), [this, session, message]);
+                    if (_presence) {
+                        _publishPresence('leave', _leave(session));
+                    }
                 }
                 callback(undefined, true);
             },
             _sweep: function() {
-                if (this.meta) {
+                if (this.meta || _persistent) {
                     return;
                 }
-                for (let id in _subscribers) {
-                    if (_subscribers.hasOwnProperty(id)) {
-                        return;
-                    }
+                if (_inUse()) {
+                    _idleTime = 0;
+                    return;
                 }
-                for (let event in _listeners) {
-                    if (_listeners.hasOwnProperty(event)) {
-                        return;
-                    }
+                const now = Date.now();
+                if (_idleTime === 0) {
+                    _idleTime = now;
+                }
+                if (now - _idleTime >= cometd.options.channelIdleTimeout) {
+                    cometd._removeServerChannel(this);
                 }
-                cometd._removeServerChannel(this);
             }
         };
     }
@@ -896,15 +2114,19 @@ module.exports = (() => {
      *   <li><code>resumed</code>, when a /meta/connect is resumed by the server</li>
      *   <li><code>removed</code>, when this ServerSession is removed from the server, either explicitly by
      *   disconnecting or because of a timeout</li>
+     *   <li><code>queueMaxed</code>, when the message queue exceeds the <code>maxQueue</code> option,
+     *   with the message affected by the <code>maxQueuePolicy</code> option</li>
+     *   <li><code>rateLimited</code>, when a message is rejected because this session publishes too fast</li>
      * </ul>
      *
      *
      * @param {CometDServer} cometd the CometD server object
      * @param {string} id the session id
+     * @param {boolean} [local] whether this session is associated with a LocalSession
      * @returns {ServerSession} a ServerSession object
      * @constructor
      */
-    function ServerSession(cometd, id) {
+    function ServerSession(cometd, id, local) {
         let _handshaken = false;
         const _extensions = [];
         const _listeners = {};
@@ -913,25 +2135,134 @@ module.exports = (() => {
         let _clientTimeout = -1;
         let _clientInterval = -1;
         let _batch = 0;
+        let _nonLazyMessages = false;
+        let _lazyTask = null;
+        // A Map, so that any name is an attribute name, even '__proto__' or 'toString'.
+        let _attributes = new Map();
+        let _principal = null;
+        let _handshakeTime = 0;
+        let _connectTime = 0;
         let _scheduleTime = 0;
         let _expireTime = 0;
         let _metaConnectDeliveryOnly = false;
+        let _broadcastToPublisher;
+        let _publishRateLimit;
+        const _buckets = {};
+        const _receipts = new Map();
+        let _memberKey = null;
 
         function _noop() {
         }
 
-        function _offer(session, message) {
-            // TODO: queue maxed ?
+        function _queueMaxed(session, sender, message) {
+            const policy = cometd.options.maxQueuePolicy || 'drop-newest';
+            let affected = message;
+            let offer = false;
+            if (typeof policy === 'function') {
+                // The queue never exceeds maxQueue: the policy must make room to queue the message.
+                offer = policy(session, _queue, sender, message) === true && _queue.length < cometd.options.maxQueue;
+            } else {
+                switch (policy) {
+                    case 'drop-oldest':
+                        // With an empty queue, the new message is dropped.
+                        if (_queue.length > 0) {
+                            affected = _queue.shift();
+                            _failReceipt(session, affected, 'message dropped');
+                            offer = true;
+                        }
+                        break;
+                    default:
+                        // 'drop-newest' and 'disconnect', validated when the server is created.
+                        break;
+                }
+            }
+            cometd._log('cometd.session', 'queue maxed for', session.id, 'policy', policy, 'affected', affected);
+            _notifyEvent(session.listeners('queueMaxed'), [session, affected]);
+            _notifyEvent(cometd.listeners('queueMaxed'), [session, affected]);
+            if (policy === 'disconnect') {
+                session.disconnect();
+            }
+            return offer;
+        }
+
+        function _failReceipt(session, message, reason) {
+            const receipt = _receipts.get(message);
+            if (receipt) {
+                _receipts.delete(message);
+                _notifyEvent([receipt], [new Error(reason), session]);
+            }
+        }
+
+        function _cancelLazyTask() {
+            if (_lazyTask) {
+                clearTimeout(_lazyTask);
+                _lazyTask = null;
+            }
+        }
+
+        function _scheduleLazyTask(session) {
+            if (!_lazyTask) {
+                _lazyTask = setTimeout(() => {
+                    _lazyTask = null;
+                    // Lazy messages are now due, as if they were non-lazy.
+                    _nonLazyMessages = true;
+                    session._flush();
+                }, cometd.options.maxLazyInterval);
+            }
+        }
+
+        function _offer(session, sender, message) {
+            const maxQueue = cometd.options.maxQueue;
+            // Meta messages, such as a server-side /meta/disconnect, are always queued.
+            const meta = /^\/meta\//.test(message.channel);
+            if (!meta && maxQueue >= 0 && _queue.length >= maxQueue) {
+                if (!_queueMaxed(session, sender, message)) {
+                    return false;
+                }
+            }
             _queue.push(message);
             _notifyEvent(session.listeners('queueOffer'), [session, message]);
+            return true;
         }
 
         return {
             /**
-             * @returns {string} the session id
+             * @returns {string} the session id
+             */
+            get id() {
+                return id;
+            },
+            /**
+             * @returns {boolean} whether this session is associated with a LocalSession
+             */
+            get local() {
+                return local === true;
+            },
+            /**
+             * @returns {?string} the browser id of the remote client, or null if not available
+             */
+            get browserId() {
+                return this._browserId || null;
+            },
+            /**
+             * @returns {number} the time, in milliseconds since the epoch, of the successful handshake,
+             * or 0 if this session is not handshaken
              */
-            get id() {
-                return id;
+            get handshakeTime() {
+                return _handshakeTime;
+            },
+            /**
+             * @returns {number} the time, in milliseconds since the epoch, of the last /meta/connect,
+             * or 0 if no /meta/connect has been received
+             */
+            get lastConnectTime() {
+                return _connectTime;
+            },
+            /**
+             * @returns {number} the number of messages queued for the remote client
+             */
+            get queueLength() {
+                return _queue.length;
             },
 
             /**
@@ -1012,12 +2343,14 @@ module.exports = (() => {
              * @param {string} channelName the message channel
              * @param {*} data the message data
              * @param {boolCallbackFn} [callback] the callback notified when the deliver completes
+             * @param {receiptFn} [receipt] the function notified when the message has been
+             * written to the remote client, or when it could not be written
              */
-            deliver: function(sender, channelName, data, callback) {
-                const message = {
+            deliver: function(sender, channelName, data, callback, receipt) {
+                const message = _defineReceipt({
                     channel: channelName,
                     data: data
-                };
+                }, receipt);
                 cometd._log('cometd.session', 'delivering', message, 'to', this.id);
                 this._deliver(sender, message, callback);
             },
@@ -1027,6 +2360,78 @@ module.exports = (() => {
             get subscriptions() {
                 return _subscriptions.slice();
             },
+            /**
+             * The principal (for example, the user id) associated with this session,
+             * typically set by the security policy in <code>canHandshake()</code>.
+             * The principal is released when this session is removed.
+             *
+             * @returns {*} the principal associated with this session
+             */
+            get principal() {
+                return _principal;
+            },
+            set principal(value) {
+                _principal = value;
+            },
+            /**
+             * @param {string} name the attribute name
+             * @returns {*} the value of the attribute with the given name,
+             * or undefined if there is no such attribute
+             */
+            getAttribute: name => _attributes.get(name),
+            /**
+             * Sets an attribute on this session.
+             * Attributes are released when this session is removed.
+             *
+             * @param {string} name the attribute name
+             * @param {*} value the attribute value
+             */
+            setAttribute: (name, value) => {
+                _attributes.set(name, value);
+            },
+            /**
+             * Removes an attribute from this session.
+             *
+             * @param {string} name the attribute name
+             * @returns {*} the value of the removed attribute,
+             * or undefined if there was no such attribute
+             */
+            removeAttribute: function(name) {
+                const value = this.getAttribute(name);
+                _attributes.delete(name);
+                return value;
+            },
+            /**
+             * @returns {string[]} the names of the attributes of this session
+             */
+            get attributeNames() {
+                return Array.from(_attributes.keys());
+            },
+            /**
+             * Whether messages published by this session are delivered back to it,
+             * if it is subscribed; when undefined, the channel and server settings apply.
+             *
+             * @returns {boolean|undefined} whether to deliver messages to this session when it is the publisher
+             */
+            get broadcastToPublisher() {
+                return _broadcastToPublisher;
+            },
+            set broadcastToPublisher(value) {
+                _broadcastToPublisher = value;
+            },
+            /**
+             * The limit to the rate at which this session can publish to any channel;
+             * when undefined, the <code>publishRateLimit</code> server option applies,
+             * when null, this session is not limited.
+             *
+             * @returns {?RateLimit|undefined} the publish rate limit
+             */
+            get publishRateLimit() {
+                return _publishRateLimit;
+            },
+            set publishRateLimit(value) {
+                _publishRateLimit = _checkRateLimit(value);
+            },
             /**
              * Batches the execution of the given function.
              * Messages sent by the execution of the given function are
@@ -1081,18 +2486,34 @@ module.exports = (() => {
                 });
             },
             _deliver1: function(sender, message, callback) {
-                // TODO: avoid delivering to self ?
                 const session = this;
                 callback = callback || _noop;
                 this._extendOutgoing(sender, session, message, (failure, result) => {
                     if (failure) {
                         callback(failure);
                     } else if (result) {
-                        _offer(session, _serialize(result));
-                        if (_batch === 0) {
-                            session._flush();
+                        const lazy = cometd._isLazy(result);
+                        const receipt = message.receipt;
+                        const queued = _serialize(result);
+                        const offered = _offer(session, sender, queued);
+                        if (receipt) {
+                            if (offered) {
+                                _receipts.set(queued, receipt);
+                            } else {
+                                _notifyEvent([receipt], [new Error('message not queued'), session]);
+                            }
                         }
-                        callback(undefined, true);
+                        if (offered) {
+                            if (lazy) {
+                                _scheduleLazyTask(session);
+                            } else {
+                                _nonLazyMessages = true;
+                                if (_batch === 0) {
+                                    session._flush();
+                                }
+                            }
+                        }
+                        callback(undefined, offered);
                     } else {
                         callback(undefined, false);
                     }
@@ -1101,12 +2522,78 @@ module.exports = (() => {
             get _hasMessages() {
                 return _queue.length > 0;
             },
+            get _hasNonLazyMessages() {
+                return _nonLazyMessages && _queue.length > 0;
+            },
             get _handshaken() {
                 return _handshaken;
             },
+            // Identifies sessions without principal in presence, without disclosing the session id.
+            get _memberKey() {
+                if (_memberKey === null) {
+                    _memberKey = crypto.randomBytes(20).toString('hex');
+                }
+                return _memberKey;
+            },
             _scheduler: null,
+            // Whether publish rate limits do not apply, such as for the sessions of cluster peers.
+            _rateLimitExempt: false,
+            // Whether a Server-Sent Events stream delivers the messages.
+            _streaming: false,
             _handshake: () => {
                 _handshaken = true;
+                _handshakeTime = Date.now();
+            },
+            _connected: () => {
+                _connectTime = Date.now();
+            },
+            _rateLimit: limits => {
+                // Token buckets: tokens are consumed only if all buckets have one.
+                const now = Date.now();
+                let wait = 0;
+                const buckets = limits.map(item => {
+                    const limit = item.limit;
+                    const burst = limit.burst > 0 ? limit.burst : Math.max(1, limit.rate);
+                    let bucket = _buckets[item.key];
+                    if (!bucket) {
+                        bucket = _buckets[item.key] = {
+                            tokens: burst,
+                            time: now
+                        };
+                    } else {
+                        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.time) * limit.rate / 1000);
+                        bucket.time = now;
+                    }
+                    if (bucket.tokens < 1) {
+                        wait = Math.max(wait, Math.ceil((1 - bucket.tokens) * 1000 / limit.rate));
+                    }
+                    return bucket;
+                });
+                if (wait === 0) {
+                    buckets.forEach(bucket => {
+                        --bucket.tokens;
+                    });
+                }
+                return wait;
+            },
+            _toRecord: function(time) {
+                return {
+                    id: id,
+                    browserId: this.browserId,
+                    handshakeTime: _handshakeTime,
+                    subscriptions: _subscriptions.map(channel => channel.name),
+                    queue: _queue.slice(),
+                    time: time
+                };
+            },
+            _restore: function(record) {
+                _handshaken = true;
+                _handshakeTime = record.handshakeTime;
+                if (record.browserId) {
+                    this._browserId = record.browserId;
+                }
+                _queue = (record.queue || []).map(message => _serialize(_defineLazy(message)));
+                _nonLazyMessages = _queue.length > 0;
             },
             _scheduleExpiration: function(dftInterval, dftMaxInterval) {
                 _scheduleTime = Date.now();
@@ -1120,10 +2607,31 @@ module.exports = (() => {
                     _expireTime += Date.now() - _scheduleTime;
                 }
             },
+            _takeReceipts: function(messages) {
+                const session = this;
+                const receipts = [];
+                messages.forEach(message => {
+                    const receipt = _receipts.get(message);
+                    if (receipt) {
+                        _receipts.delete(message);
+                        receipts.push(receipt);
+                    }
+                });
+                let notified = false;
+                // Returns a function to notify the receipts only once.
+                return failure => {
+                    if (!notified) {
+                        notified = true;
+                        _notifyEvent(receipts, [failure, session]);
+                    }
+                };
+            },
             _drainQueue: function(replies) {
                 _notifyEvent(this.listeners('queueDrain'), [this, _queue, replies]);
                 const queue = _queue.slice();
                 _queue = [];
+                _nonLazyMessages = false;
+                _cancelLazyTask();
                 return queue;
             },
             _setClientTimeout: timeout => {
@@ -1158,12 +2666,20 @@ module.exports = (() => {
             },
             _removed: function(timeout) {
                 _handshaken = false;
+                _cancelLazyTask();
                 const self = this;
+                Array.from(_receipts.keys()).forEach(message => {
+                    _failReceipt(self, message, 'session removed');
+                });
                 // Slice the array because _unsubscribe() modifies _subscriptions during the iteration.
                 _asyncFoldLeft(_subscriptions.slice(), undefined, (ignored, channel, c) => {
                     channel._unsubscribe(self, null, c);
                 }, () => {
-                    _notifyEvent(_listeners['removed'], [self, timeout]);
+                    _notifyEvent(self.listeners('removed'), [self, timeout]);
+                    // Release application state only after
+                    // listeners had the chance to clean up.
+                    _attributes = new Map();
+                    _principal = null;
                 });
             },
             _flush: function() {
@@ -1186,7 +2702,7 @@ module.exports = (() => {
             },
             _endBatch: function() {
                 --_batch;
-                if (_batch === 0 && this._hasMessages) {
+                if (_batch === 0 && this._hasNonLazyMessages) {
                     this._flush();
                 }
             },
@@ -1237,18 +2753,417 @@ module.exports = (() => {
         };
     }
 
+    /**
+     * A server-side client that sends messages to the server without
+     * a network transport, typically used by services to subscribe and
+     * publish to channels.
+     * Messages sent by a LocalSession are processed like those sent by
+     * remote clients: extensions, security policy and channel listeners
+     * are all invoked, and the LocalSession is backed by a ServerSession
+     * that receives messages like the ServerSessions of remote clients.
+     *
+     * @param {CometDServer} cometd the CometD server object
+     * @param {string} name the name of this session, for debugging purposes
+     * @returns {LocalSession} a LocalSession object
+     * @constructor
+     */
+    function LocalSession(cometd, name) {
+        const _subscriptions = {};
+        let _session = null;
+        let _messageIds = 0;
+
+        function _noop() {
+        }
+
+        function _send(session, message, callback) {
+            message.id = String(++_messageIds);
+            if (session) {
+                message.clientId = session.id;
+            }
+            cometd._log('cometd.local', name, 'sending', message);
+            cometd._process(session, message, failure => {
+                if (failure) {
+                    callback(failure);
+                } else {
+                    cometd._extendReply(session, message.reply, callback);
+                }
+            });
+        }
+
+        function _receive(message) {
+            cometd._log('cometd.local', name, 'received', message);
+            if (message.channel === '/meta/disconnect') {
+                _disconnected();
+                return;
+            }
+            // Subscribers receive a copy, like remote clients do.
+            const copy = JSON.parse(message._json || JSON.stringify(message));
+            // Not from the channel object, that may have been swept or never created.
+            _channelWildNames(message.channel).concat(message.channel).forEach(name => {
+                (_subscriptions[name] || []).slice().forEach(fn => {
+                    try {
+                        fn(copy);
+                    } catch (x) {
+                        cometd._log('cometd.local', 'subscriber failure', x, x.stack);
+                    }
+                });
+            });
+        }
+
+        function _disconnected() {
+            _session = null;
+            for (let name in _subscriptions) {
+                if (_subscriptions.hasOwnProperty(name)) {
+                    delete _subscriptions[name];
+                }
+            }
+        }
+
+        return {
+            /**
+             * @returns {string} the name of this session
+             */
+            get name() {
+                return name;
+            },
+            /**
+             * @returns {?ServerSession} the ServerSession associated with this session,
+             * or null if this session is not handshaken
+             */
+            get session() {
+                return _session;
+            },
+            /**
+             * @returns {boolean} whether this session is handshaken
+             */
+            get handshaken() {
+                return _session !== null && _session._handshaken;
+            },
+            /**
+             * Performs the handshake with the server.
+             *
+             * @param {object} [fields] additional fields of the /meta/handshake message, such as <code>ext</code>
+             * @param {objectCallbackFn} [callback] the callback notified with the /meta/handshake reply
+             */
+            handshake: function(fields, callback) {
+                if (typeof fields === 'function') {
+                    callback = fields;
+                    fields = undefined;
+                }
+                callback = callback || _noop;
+                if (_session) {
+                    callback(new Error('already handshaken ' + name));
+                    return;
+                }
+                const session = cometd._newServerSession(true);
+                _send(session, _mixin({}, fields, {
+                    channel: '/meta/handshake',
+                    version: '1.0'
+                }), (failure, reply) => {
+                    if (!failure && reply && reply.successful) {
+                        _session = session;
+                        // Messages are received as soon as they are delivered.
+                        session._scheduler = {
+                            resume: () => {
+                                const queue = session._drainQueue([]);
+                                const receipts = session._takeReceipts(queue);
+                                queue.forEach(_receive);
+                                receipts();
+                            },
+                            cancel: _noop
+                        };
+                    }
+                    callback(failure, reply);
+                });
+            },
+            /**
+             * @callback messageFn
+             * @param {object} message the message received
+             */
+            /**
+             * Subscribes to the given channel.
+             *
+             * @param {string} channelName the channel name, possibly a wildcard channel name
+             * @param {messageFn} fn the function notified when messages arrive on the channel
+             * @param {objectCallbackFn} [callback] the callback notified with the /meta/subscribe reply
+             */
+            subscribe: (channelName, fn, callback) => {
+                callback = callback || _noop;
+                // Subscribe the function before the reply,
+                // to receive the messages delivered during the subscription.
+                _addListener(_subscriptions, channelName, fn);
+                _send(_session, {
+                    channel: '/meta/subscribe',
+                    subscription: channelName
+                }, (failure, reply) => {
+                    if (failure || !reply || !reply.successful) {
+                        _removeListener(_subscriptions, channelName, fn);
+                    }
+                    callback(failure, reply);
+                });
+            },
+            /**
+             * Unsubscribes the given function from the given channel.
+             * A /meta/unsubscribe message is sent only when there are
+             * no more functions subscribed to the channel.
+             *
+             * @param {string} channelName the channel name
+             * @param {messageFn} [fn] the function to unsubscribe, or all functions if missing
+             * @param {objectCallbackFn} [callback] the callback notified with the /meta/unsubscribe reply
+             */
+            unsubscribe: (channelName, fn, callback) => {
+                if (fn) {
+                    _removeListener(_subscriptions, channelName, fn);
+                } else {
+                    delete _subscriptions[channelName];
+                }
+                callback = callback || _noop;
+                if (_subscriptions[channelName]) {
+                    callback(undefined, {
+                        channel: '/meta/unsubscribe',
+                        subscription: channelName,
+                        successful: true
+                    });
+                } else {
+                    _send(_session, {
+                        channel: '/meta/unsubscribe',
+                        subscription: channelName
+                    }, callback);
+                }
+            },
+            /**
+             * Publishes a message to the given channel.
+             *
+             * @param {string} channelName the channel name
+             * @param {*} data the message data
+             * @param {objectCallbackFn} [callback] the callback notified with the publish reply
+             */
+            publish: (channelName, data, callback) => {
+                _send(_session, {
+                    channel: channelName,
+                    data: data
+                }, callback || _noop);
+            },
+            /**
+             * Disconnects this session.
+             *
+             * @param {objectCallbackFn} [callback] the callback notified with the /meta/disconnect reply
+             */
+            disconnect: callback => {
+                callback = callback || _noop;
+                _send(_session, {
+                    channel: '/meta/disconnect'
+                }, (failure, reply) => {
+                    _disconnected();
+                    callback(failure, reply);
+                });
+            }
+        };
+    }
+
+    /**
+     * @typedef {object} SessionRecord
+     * @property {string} id the session id
+     * @property {?string} browserId the browser id
+     * @property {number} handshakeTime the time of the successful handshake
+     * @property {string[]} subscriptions the names of the channels the session is subscribed to
+     * @property {object[]} queue the messages not yet delivered to the remote client
+     * @property {number} time the time the record was created
+     */
+    /**
+     * A session store that saves session records in a JSON file, readable only by its owner.
+     * Records that have not changed since the last save are not written again;
+     * the file is only touched, and its modification time is the time of the loaded records.
+     * Session stores may be implemented on top of other storages,
+     * as long as they provide the <code>load(callback)</code> and
+     * <code>save(records, callback)</code> functions.
+     *
+     * @param {string} file the path of the file where session records are stored
+     * @returns {SessionStore} a SessionStore object
+     * @constructor
+     */
+    function FileSessionStore(file) {
+        let _saves = 0;
+        // The last stored records, without their time, to skip writing unchanged records.
+        let _stored = null;
+
+        function _readFile(stats, callback) {
+            fs.readFile(file, 'utf8', (failure, content) => {
+                if (failure) {
+                    callback(failure);
+                } else {
+                    let records;
+                    try {
+                        records = JSON.parse(content);
+                    } catch (x) {
+                        callback(x);
+                        return;
+                    }
+                    // Unchanged records are not written again, but the file is touched.
+                    records.forEach(record => {
+                        record.time = Math.max(record.time || 0, Math.floor(stats.mtimeMs));
+                    });
+                    callback(undefined, records);
+                }
+            });
+        }
+
+        return {
+            /**
+             * @param {anyCallbackFn} callback the callback notified with the list of stored session records
+             */
+            load: callback => {
+                fs.stat(file, (failure, stats) => {
+                    if (failure) {
+                        // No sessions have been stored yet.
+                        callback(failure.code === 'ENOENT' ? undefined : failure, []);
+                    } else {
+                        _readFile(stats, callback);
+                    }
+                });
+            },
+            /**
+             * @param {SessionRecord[]} records the session records to store
+             * @param {boolCallbackFn} callback the callback notified when the records have been stored
+             */
+            save: (records, callback) => {
+                const content = JSON.stringify(records);
+                const stored = JSON.stringify(records.map(record => _mixin({}, record, {time: undefined})));
+                if (stored === _stored) {
+                    const now = new Date();
+                    fs.utimes(file, now, now, failure => {
+                        if (failure) {
+                            // Write the records next time.
+                            _stored = null;
+                        }
+                        callback(failure, !failure);
+                    });
+                    return;
+                }
+                // Write a temporary file and rename it, so that
+                // a crash does not leave a truncated file behind.
+                // Session ids are credentials, so only the owner can read the file.
+                const temp = file + '.' + process.pid + '.' + (++_saves);
+                fs.writeFile(temp, content, {mode: 0o600}, failure => {
+                    if (failure) {
+                        callback(failure);
+                    } else {
+                        fs.rename(temp, file, failure => {
+                            if (!failure) {
+                                _stored = stored;
+                            }
+                            callback(failure, !failure);
+                        });
+                    }
+                });
+            }
+        };
+    }
+
+    function _mapStrings(data, fn) {
+        if (typeof data === 'string') {
+            return fn(data);
+        }
+        if (Array.isArray(data)) {
+            return data.map(item => _mapStrings(item, fn));
+        }
+        if (data && typeof data === 'object') {
+            const result = {};
+            for (let key in data) {
+                if (Object.prototype.hasOwnProperty.call(data, key)) {
+                    result[key] = _mapStrings(data[key], fn);
+                }
+            }
+            return result;
+        }
+        return data;
+    }
+
+    function _depth(data) {
+        if (data && typeof data === 'object') {
+            let max = 0;
+            for (let key in data) {
+                if (Object.prototype.hasOwnProperty.call(data, key)) {
+                    max = Math.max(max, _depth(data[key]));
+                }
+            }
+            return max + 1;
+        }
+        return 0;
+    }
+
+    const _htmlEntities = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        '\'': '&#39;'
+    };
+
+    /**
+     * Built-in data filters, to be added to channels via
+     * <code>ServerChannel.addDataFilter(filter)</code>.
+     */
+    const DataFilters = {
+        /**
+         * @returns {dataFilterFn} a data filter that escapes HTML special characters in all strings
+         */
+        escapeHTML: () => (session, channel, data, callback) => {
+            callback(undefined, _mapStrings(data, s => s.replace(/[&<>"']/g, c => _htmlEntities[c])));
+        },
+        /**
+         * @param {number} max the maximum string length
+         * @returns {dataFilterFn} a data filter that truncates all strings longer than the given length
+         */
+        maxLength: max => (session, channel, data, callback) => {
+            callback(undefined, _mapStrings(data, s => s.length > max ? s.substring(0, max) : s));
+        },
+        /**
+         * @param {RegExp} regexp the regular expression to test strings against
+         * @param {string} [error] the Bayeux error of the rejection, by default '400::data_rejected'
+         * @returns {dataFilterFn} a data filter that rejects the message if any string matches the given regexp
+         */
+        rejectPattern: (regexp, error) => (session, channel, data, callback) => {
+            let matched = false;
+            _mapStrings(data, s => {
+                // Reset the state of global regexps.
+                regexp.lastIndex = 0;
+                matched = matched || regexp.test(s);
+                return s;
+            });
+            callback(undefined, data, matched ? error || '400::data_rejected' : undefined);
+        },
+        /**
+         * @param {number} max the maximum nesting depth of objects and arrays
+         * @param {string} [error] the Bayeux error of the rejection, by default '400::data_too_deep'
+         * @returns {dataFilterFn} a data filter that rejects the message if the data is nested too deeply
+         */
+        maxDepth: (max, error) => (session, channel, data, callback) => {
+            callback(undefined, data, _depth(data) > max ? error || '400::data_too_deep' : undefined);
+        }
+    };
+
     /**
      * The server-side message broker.
      *
      * Events emitted:
      * <ul>
-     *   <li><code>sessionAdded</code>, when a remote session, after a successful handshake, is added to this object</li>
+     *   <li><code>sessionAdded</code>, when a remote session, after a successful handshake, is added to this object,
+     *   or when a session is restored from the <code>sessionStore</code> option, with a null message</li>
      *   <li><code>sessionRemoved</code>, when a remote session is removed from this object, either explicitly by
      *   disconnecting, or because of a timeout</li>
      *   <li><code>channelAdded</code>, when a ServerChannel is added to this object</li>
      *   <li><code>channelRemoved</code>, when a ServerChannel is removed from this object</li>
      *   <li><code>subscribed</code>, when a ServerSession has subscribed to a ServerChannel</li>
      *   <li><code>unsubscribed</code>, when a ServerSession has unsubscribed from a ServerChannel</li>
+     *   <li><code>queueMaxed</code>, when a ServerSession message queue exceeds the <code>maxQueue</code> option</li>
+     *   <li><code>rateLimited</code>, when a message is rejected because a ServerSession publishes too fast</li>
+     *   <li><code>rejected</code>, when a request or a message is rejected because it exceeds
+     *   the <code>maxRequestBytes</code>, <code>maxMessagesPerRequest</code> or <code>maxMessageBytes</code> limits,
+     *   with arguments <code>(reason, request, session, message)</code>, where <code>request</code> is the
+     *   HTTP request (for WebSocket, the upgrade request), and <code>session</code> and <code>message</code>
+     *   are only present for <code>maxMessageBytes</code></li>
+     *   <li><code>broadcast</code>, when a message published to a broadcast channel has been delivered to the subscribers</li>
      * </ul>
      *
      * @param {object.<string, *>} options the configuration options
@@ -1259,15 +3174,34 @@ module.exports = (() => {
         let _self;
         const _options = _mixin({
             logLevel: 'info',
-            sweepPeriod: 997
+            sweepPeriod: 997,
+            maxLazyInterval: 5000,
+            sessionStorePeriod: 5000,
+            broadcastToPublisher: true,
+            remoteCallTimeout: 10000,
+            channelIdleTimeout: 0
         }, options);
-        let _httpTransport;
+        const _maxQueuePolicy = _options.maxQueuePolicy;
+        if (_maxQueuePolicy !== undefined && typeof _maxQueuePolicy !== 'function' &&
+            ['drop-oldest', 'drop-newest', 'disconnect'].indexOf(_maxQueuePolicy) < 0) {
+            throw 'invalid maxQueuePolicy ' + _maxQueuePolicy;
+        }
+        _checkRateLimit(_options.publishRateLimit);
+        const _transports = [];
         const _extensions = [];
         const _channels = {};
+        const _channelListeners = [];
+        const _remoteCalls = {};
         const _sessions = {};
         const _listeners = {};
         const _context = {};
+        // Browser id -> number of held /meta/connect, shared by the HTTP transports.
+        const _browserMetaConnects = {};
         let _sweeper;
+        let _storeTime = 0;
+        // Null until close() is called, then the callbacks waiting for the close to complete.
+        let _closeCallbacks = null;
+        let _closed = false;
 
         function _error(reply, error) {
             reply.successful = false;
@@ -1286,6 +3220,88 @@ module.exports = (() => {
             }
         }
 
+        function _authorize(operation, channelName, session, message, callback) {
+            const authorizers = [];
+            _channelWildNames(channelName).concat(channelName).forEach(name => {
+                const channel = _channels[name];
+                if (channel) {
+                    channel.authorizers.forEach(authorizer => {
+                        authorizers.push(authorizer);
+                    });
+                }
+            });
+            if (authorizers.length === 0) {
+                callback(undefined, true);
+                return;
+            }
+            _asyncFoldLeft(authorizers, 'ignore', (result, authorizer, loop) => {
+                if (result === 'deny') {
+                    loop(undefined, result);
+                } else {
+                    try {
+                        authorizer(operation, channelName, session, message, (failure, r) => {
+                            if (failure) {
+                                loop(failure);
+                            } else {
+                                loop(undefined, r === 'deny' || r === 'grant' ? r : result);
+                            }
+                        });
+                    } catch (failure) {
+                        _self._log('cometd.server', 'authorizer failure', failure, failure.stack);
+                        loop(undefined, 'deny');
+                    }
+                }
+            }, (failure, result) => {
+                if (failure) {
+                    callback(failure);
+                } else {
+                    _self._log('cometd.server', 'authorizers', result, operation, 'on', channelName);
+                    callback(undefined, result === 'grant');
+                }
+            });
+        }
+
+        // Completes the callback with the Bayeux error if a data filter rejects the message.
+        function _filterData(channel, session, message, callback) {
+            const filters = [];
+            channel.wildNames.concat(channel.name).forEach(name => {
+                const c = _channels[name];
+                if (c) {
+                    c.dataFilters.forEach(filter => {
+                        filters.push(filter);
+                    });
+                }
+            });
+            if (filters.length === 0) {
+                callback();
+                return;
+            }
+            _asyncFoldLeft(filters, {data: message.data}, (result, filter, loop) => {
+                if (result.error) {
+                    loop(undefined, result);
+                } else {
+                    try {
+                        filter(session, channel, result.data, (failure, data, error) => {
+                            loop(failure, {data: data, error: error});
+                        });
+                    } catch (failure) {
+                        _self._log('cometd.server', 'data filter failure', failure, failure.stack);
+                        loop(undefined, {error: '500::data_filter_failure'});
+                    }
+                }
+            }, (failure, result) => {
+                if (failure) {
+                    callback(failure);
+                } else if (result.error) {
+                    _self._log('cometd.server', 'data filters rejected message on', channel.name, result.error);
+                    callback(undefined, result.error);
+                } else {
+                    message.data = result.data;
+                    callback();
+                }
+            });
+        }
+
         function _canHandshake(session, message, callback) {
             const p = _self.policy;
             if (p && p.canHandshake) {
@@ -1297,36 +3313,50 @@ module.exports = (() => {
             }
         }
 
+        // The security policy is the outer gate, then authorizers are evaluated.
+        function _authorizeAfter(operation, channelName, session, message, callback) {
+            return (failure, result) => {
+                if (failure || !result) {
+                    callback(failure, false);
+                } else {
+                    _authorize(operation, channelName, session, message, callback);
+                }
+            };
+        }
+
         function _canCreate(session, message, channelName, callback) {
             const p = _self.policy;
+            const next = _authorizeAfter('create', channelName, session, message, callback);
             if (p && p.canCreate) {
                 p.canCreate(session, message, channelName, (failure, result) => {
-                    callback(failure, result !== false);
+                    next(failure, result !== false);
                 });
             } else {
-                callback(undefined, true);
+                next(undefined, true);
             }
         }
 
         function _canSubscribe(session, message, channel, callback) {
             const p = _self.policy;
+            const next = _authorizeAfter('subscribe', channel.name, session, message, callback);
             if (p && p.canSubscribe) {
                 p.canSubscribe(session, message, channel, (failure, result) => {
-                    callback(failure, result !== false);
+                    next(failure, result !== false);
                 });
             } else {
-                callback(undefined, true);
+                next(undefined, true);
             }
         }
 
         function _canPublish(channel, session, message, callback) {
             const p = _self.policy;
+            const next = _authorizeAfter('publish', channel.name, session, message, callback);
             if (p && p.canPublish) {
                 p.canPublish(session, message, channel, (failure, result) => {
-                    callback(failure, result !== false);
+                    next(failure, result !== false);
                 });
             } else {
-                callback(undefined, true);
+                next(undefined, true);
             }
         }
 
@@ -1340,7 +3370,30 @@ module.exports = (() => {
             _notifyEvent(_self.listeners('channelAdded'), [channel]);
         }
 
+        function _negotiateTransports(message) {
+            const serverTypes = _self.transports.map(transport => transport.name());
+            const clientTypes = message.supportedConnectionTypes;
+            if (!Array.isArray(clientTypes)) {
+                return serverTypes;
+            }
+            return serverTypes.filter(type => clientTypes.indexOf(type) >= 0);
+        }
+
         function _metaHandshake(session, message, callback) {
+            // Local sessions do not use network transports.
+            const connectionTypes = session.local ? [] : _negotiateTransports(message);
+            if (!session.local && connectionTypes.length === 0) {
+                const reply = message.reply;
+                _error(reply, '400::unsupported_connection_types');
+                reply.supportedConnectionTypes = _self.transports.map(transport => transport.name());
+                let advice = reply.advice;
+                if (!advice) {
+                    advice = reply.advice = {};
+                }
+                advice.reconnect = 'none';
+                callback(undefined, false);
+                return;
+            }
             _canHandshake(session, message, (failure, result) => {
                 if (failure) {
                     callback(failure);
@@ -1352,7 +3405,7 @@ module.exports = (() => {
                         reply.successful = true;
                         reply.clientId = session.id;
                         reply.version = "1.0";
-                        reply.supportedConnectionTypes = ['long-polling'];
+                        reply.supportedConnectionTypes = connectionTypes;
                     } else {
                         _error(reply, '403::handshake_denied');
                         let advice = reply.advice;
@@ -1369,6 +3422,7 @@ module.exports = (() => {
         }
 
         function _metaConnect(session, message, callback) {
+            session._connected();
             const adviceIn = message.advice;
             if (adviceIn) {
                 const timeout = adviceIn.timeout;
@@ -1415,9 +3469,14 @@ module.exports = (() => {
                     if (failure) {
                         callback(failure);
                     } else if (result) {
+                        // Sessions already subscribed have already received the history.
+                        const replays = [];
                         _asyncFoldLeft(subscriptions, true, (result1, subscription, loop) => {
                             if (result1) {
                                 const channel = _self.getServerChannel(subscription);
+                                if (channel.subscribers.indexOf(session) < 0) {
+                                    replays.push(subscription);
+                                }
                                 channel._subscribe(session, message, loop);
                             } else {
                                 loop(undefined, false);
@@ -1428,6 +3487,7 @@ module.exports = (() => {
                             } else {
                                 if (result2) {
                                     reply.successful = true;
+                                    _replay(session, message, replays);
                                 } else {
                                     _error(reply, '403::subscribe_failed');
                                 }
@@ -1445,6 +3505,20 @@ module.exports = (() => {
             }
         }
 
+        function _replay(session, message, subscriptions) {
+            const ext = message.ext;
+            // Clients may replay only the messages following the last one they received.
+            const since = ext && typeof ext.replay === 'number' ? ext.replay : 0;
+            session.batch(() => {
+                subscriptions.forEach(subscription => {
+                    const channel = _self.getServerChannel(subscription);
+                    channel._retainedSince(since).forEach(retained => {
+                        session._deliver1(null, retained, null);
+                    });
+                });
+            });
+        }
+
         function _metaUnsubscribe(session, message, callback) {
             const reply = message.reply;
             let subscriptions = message.subscription;
@@ -1518,11 +3592,24 @@ module.exports = (() => {
             }, callback);
         }
 
+        function _isBroadcastToPublisher(channel, session) {
+            if (session.broadcastToPublisher !== undefined) {
+                return session.broadcastToPublisher;
+            }
+            if (channel.broadcastToPublisher !== undefined) {
+                return channel.broadcastToPublisher;
+            }
+            return _options.broadcastToPublisher;
+        }
+
         function _notifySubscribers(channel, session, message) {
+            const skipPublisher = session && !_isBroadcastToPublisher(channel, session);
             const channels = [];
+            // Presence events must not leak to wildcards, such as /**, that bypass the presence authorizer.
+            const presence = channel.name.indexOf('/presence/') === 0;
             channel.wildNames.forEach(wildName => {
                 const wild = _self.getServerChannel(wildName);
-                if (wild) {
+                if (wild && (!presence || wildName.indexOf('/presence/') === 0)) {
                     channels.push(wild);
                 }
             });
@@ -1535,9 +3622,14 @@ module.exports = (() => {
                 const subscribers = channel.subscribers;
                 _self._log('cometd.server', 'notifying', subscribers.length, 'subscribers on', channel.name);
                 subscribers.forEach(subscriber => {
+                    if (skipPublisher && subscriber === session) {
+                        return;
+                    }
                     subscriber._deliver1(session, message, null);
                 });
             });
+
+            _notifyEvent(_self.listeners('broadcast'), [channel, session, message]);
         }
 
         function _publish1(channel, session, message, incoming, callback) {
@@ -1587,6 +3679,7 @@ module.exports = (() => {
                 }
             } else {
                 if (channel.broadcast) {
+                    channel._record(message);
                     _notifySubscribers(channel, session, message);
                 }
                 callback(undefined, true);
@@ -1614,6 +3707,43 @@ module.exports = (() => {
             }
         }
 
+        function _rateLimitWait(channel, session) {
+            if (session._rateLimitExempt) {
+                return 0;
+            }
+            const limits = [];
+            channel.wildNames.forEach(wildName => {
+                const wild = _self.getServerChannel(wildName);
+                if (wild && wild.publishRateLimit) {
+                    limits.push({key: wild.name, limit: wild.publishRateLimit});
+                }
+            });
+            if (channel.publishRateLimit) {
+                limits.push({key: channel.name, limit: channel.publishRateLimit});
+            }
+            const sessionLimit = session.publishRateLimit === undefined ? _options.publishRateLimit : session.publishRateLimit;
+            if (sessionLimit) {
+                // Channel names always start with a slash, so there is no clash.
+                limits.push({key: '', limit: sessionLimit});
+            }
+            return limits.length > 0 ? session._rateLimit(limits) : 0;
+        }
+
+        function _rateLimited(channel, session, message, wait) {
+            _self._log('cometd.server', 'rate limited', session.id, 'on', channel.name, 'for', wait, 'ms');
+            const reply = message.reply;
+            _error(reply, '429::rate_limited');
+            if (_options.rateLimitAdvice === true) {
+                let advice = reply.advice;
+                if (!advice) {
+                    advice = reply.advice = {};
+                }
+                advice.interval = wait;
+            }
+            _notifyEvent(session.listeners('rateLimited'), [session, channel, message, wait]);
+            _notifyEvent(_self.listeners('rateLimited'), [session, channel, message, wait]);
+        }
+
         function _process2(channel, session, message, callback) {
             const reply = message.reply;
             if (channel.meta) {
@@ -1623,8 +3753,24 @@ module.exports = (() => {
                     if (failure) {
                         callback(failure);
                     } else if (result) {
-                        reply.successful = true;
-                        _self._publish(channel, session, message, true, callback);
+                        // Only granted publishes consume the rate limit tokens.
+                        const wait = _rateLimitWait(channel, session);
+                        if (wait > 0) {
+                            _rateLimited(channel, session, message, wait);
+                            callback();
+                            return;
+                        }
+                        _filterData(channel, session, message, (failure, error) => {
+                            if (failure) {
+                                callback(failure);
+                            } else if (error) {
+                                _error(reply, error);
+                                callback();
+                            } else {
+                                reply.successful = true;
+                                _self._publish(channel, session, message, true, callback);
+                            }
+                        });
                     } else {
                         _error(reply, '403::publish_denied');
                         callback();
@@ -1633,6 +3779,96 @@ module.exports = (() => {
             }
         }
 
+        function _remoteCall(handler, timeout, session, channel, message) {
+            let replied = false;
+            let timer;
+
+            // The cometd client correlates the reply via the
+            // request id, and requires the reply to have data.
+            function _reply(successful, data, error) {
+                if (replied) {
+                    return false;
+                }
+                replied = true;
+                clearTimeout(timer);
+                const reply = {
+                    id: message.id,
+                    channel: channel.name,
+                    successful: successful,
+                    data: data === undefined ? null : data
+                };
+                if (error) {
+                    reply.error = error;
+                }
+                session._deliver(null, reply);
+                return true;
+            }
+
+            const caller = {
+                get session() {
+                    return session;
+                },
+                result: data => _reply(true, data),
+                failure: data => _reply(false, data),
+                _message: message
+            };
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    _self._log('cometd.server', 'remote call timeout on', channel.name, 'after', timeout, 'ms');
+                    _reply(false, undefined, '406::timeout');
+                }, timeout);
+            }
+            try {
+                const promise = handler(session, message.data, caller);
+                if (promise && typeof promise.then === 'function') {
+                    promise.then(caller.result, failure => {
+                        caller.failure(failure instanceof Error ? failure.message : failure);
+                    });
+                }
+            } catch (failure) {
+                _self._log('cometd.server', 'remote call failure', failure, failure.stack);
+                _reply(false, undefined, '500::remote_call_failure');
+            }
+        }
+
+        function _restoreSessions(records) {
+            // Same default as the transports' maxInterval.
+            const maxInterval = _options.maxInterval >= 0 ? _options.maxInterval : 10000;
+            const now = Date.now();
+            records.forEach(record => {
+                if (now - record.time > maxInterval || _sessions[record.id]) {
+                    return;
+                }
+                const session = new ServerSession(_self, record.id);
+                session._restore(record);
+                // The client must reconnect within maxInterval.
+                session._scheduleExpiration(0, maxInterval);
+                (record.subscriptions || []).forEach(name => {
+                    _self.createServerChannel(name)._subscribe(session, null, () => {
+                    });
+                });
+                _self._log('cometd.server', 'restored session', session.id);
+                _addServerSession(session, null);
+            });
+        }
+
+        function _storeSessions(callback) {
+            const now = Date.now();
+            _storeTime = now;
+            const records = _self.getServerSessions()
+                .filter(session => !session.local)
+                .map(session => session._toRecord(now));
+            _self._log('cometd.server', 'storing', records.length, 'sessions');
+            _options.sessionStore.save(records, failure => {
+                if (failure) {
+                    _self._log('cometd.server', 'could not store sessions', failure);
+                }
+                if (callback) {
+                    callback(failure, !failure);
+                }
+            });
+        }
+
         function _sweep() {
             for (let name in _channels) {
                 if (_channels.hasOwnProperty(name)) {
@@ -1645,6 +3881,9 @@ module.exports = (() => {
                 }
             }
             // TODO: need to sweep transports too?
+            if (_options.sessionStore && Date.now() - _storeTime >= _options.sessionStorePeriod) {
+                _storeSessions();
+            }
             _sweeper = setTimeout(_sweep, _self.options.sweepPeriod);
         }
 
@@ -1756,7 +3995,92 @@ module.exports = (() => {
              * @param response the HTTP response
              */
             handle: (request, response) => {
-                _httpTransport.handle(request, response);
+                const transport = _self.transports.find(t => t.accept(request));
+                if (transport) {
+                    transport.handle(request, response);
+                } else {
+                    _self._log('cometd.server', 'no transport for request', request.method, request.url);
+                    response.statusCode = 400;
+                    response.end();
+                }
+            },
+            /**
+             * The function that handles HTTP upgrade requests to WebSocket,
+             * typically to be passed to Node's HTTP server 'upgrade' event.
+             * <pre>
+             * var httpServer = http.createServer(cometdServer.handle);
+             * httpServer.on('upgrade', cometdServer.handleUpgrade);
+             * </pre>
+             *
+             * @param request the HTTP upgrade request
+             * @param socket the network socket
+             * @param head the first packet of the upgraded stream
+             */
+            handleUpgrade: (request, socket, head) => {
+                const transport = _self.transports.find(t => t.acceptUpgrade(request));
+                if (transport) {
+                    transport.handleUpgrade(request, socket, head);
+                } else {
+                    _self._log('cometd.server', 'no transport for upgrade', request.headers.upgrade, request.url);
+                    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+                }
+            },
+            /**
+             * Adds the given transport to the list of transports.
+             * Transports are typically created by extending ServerTransport.
+             *
+             * @param {ServerTransport} transport the transport to add
+             * @param {number} [index] the position of the transport in the list of transports
+             * @returns {boolean} whether the transport was added, false if
+             * a transport with the same name already exists
+             */
+            addTransport: (transport, index) => {
+                if (_self.getTransport(transport.name())) {
+                    return false;
+                }
+                if (typeof index !== 'number') {
+                    index = _transports.length;
+                }
+                _transports.splice(index, 0, transport);
+                return true;
+            },
+            /**
+             * Removes the transport with the given name from the list of transports.
+             *
+             * @param {string} name the transport name
+             * @returns {?ServerTransport} the transport that has been removed,
+             * or null if there is no transport with the given name
+             */
+            removeTransport: name => {
+                for (let i = 0; i < _transports.length; ++i) {
+                    const transport = _transports[i];
+                    if (transport.name() === name) {
+                        _transports.splice(i, 1);
+                        transport.close();
+                        return transport;
+                    }
+                }
+                return null;
+            },
+            /**
+             * @param {string} name the transport name
+             * @returns {?ServerTransport} the transport with the given name,
+             * or null if there is no transport with the given name
+             */
+            getTransport: name => _transports.find(transport => transport.name() === name) || null,
+            /**
+             * The transports in use, in order of preference.
+             * If the option <code>allowedTransports</code> is present, only the transports
+             * whose name is in the option value are returned, in the order of the option value.
+             *
+             * @returns {ServerTransport[]} the list of transports
+             */
+            get transports() {
+                const allowed = _self.options.allowedTransports;
+                if (Array.isArray(allowed)) {
+                    return allowed.map(name => _self.getTransport(name)).filter(transport => transport);
+                }
+                return _transports.slice();
             },
             /**
              * @param {string} name the channel name
@@ -1768,16 +4092,28 @@ module.exports = (() => {
             /**
              * Returns a ServerChannel with the given name.
              * If the channel already exists, returns it;
-             * otherwise the channel is created and cached.
+             * otherwise the channel is created, configured with the
+             * given initializer function, and then cached.
+             * <pre>
+             * cometdServer.createServerChannel('/chat', channel => {
+             *     channel.persistent = true;
+             *     channel.addListener('message', ...);
+             * });
+             * </pre>
              *
              * @param {string} name the channel name
+             * @param {function(ServerChannel)} [initializer] the function that configures
+             * the channel before it is visible, invoked only if the channel is created
              * @returns {ServerChannel} a ServerChannel with the given name
              * @see #getServerChannel
              */
-            createServerChannel: name => {
+            createServerChannel: (name, initializer) => {
                 let channel = _self.getServerChannel(name);
                 if (!channel) {
                     channel = new ServerChannel(_self, name);
+                    if (initializer) {
+                        initializer(channel);
+                    }
                     _addServerChannel(channel);
                 }
                 return channel;
@@ -1788,6 +4124,200 @@ module.exports = (() => {
              * or nothing if there is no session with the given id
              */
             getServerSession: id => _sessions[id],
+            /**
+             * @returns {ServerSession[]} the list of ServerSessions known to this server
+             */
+            getServerSessions: () => {
+                const result = [];
+                for (let id in _sessions) {
+                    if (_sessions.hasOwnProperty(id)) {
+                        result.push(_sessions[id]);
+                    }
+                }
+                return result;
+            },
+            /**
+             * @returns {number} the number of ServerSessions known to this server
+             */
+            get sessionCount() {
+                return Object.keys(_sessions).length;
+            },
+            /**
+             * @typedef {object} SessionQuery
+             * @property {string} [browserId] the browser id of the sessions
+             * @property {string} [subscription] the name of a channel the sessions are subscribed to
+             * @property {object.<string, *>} [attributes] the attributes that the sessions must have,
+             * with the same values
+             */
+            /**
+             * Returns the ServerSessions that match all the criteria of the given query,
+             * or for which the given function returns true.
+             * <pre>
+             * cometdServer.findServerSessions({
+             *     subscription: '/chat',
+             *     attributes: {role: 'admin'}
+             * });
+             * </pre>
+             *
+             * @param {SessionQuery|function(ServerSession): boolean} query the query criteria
+             * @returns {ServerSession[]} the list of ServerSessions matching the query
+             */
+            findServerSessions: query => {
+                const sessions = _self.getServerSessions();
+                if (typeof query === 'function') {
+                    return sessions.filter(query);
+                }
+                query = query || {};
+                const attributes = query.attributes || {};
+                return sessions.filter(session => {
+                    if (query.browserId !== undefined && session.browserId !== query.browserId) {
+                        return false;
+                    }
+                    if (query.subscription !== undefined &&
+                        !session.subscriptions.some(channel => channel.name === query.subscription)) {
+                        return false;
+                    }
+                    return Object.keys(attributes).every(name => session.getAttribute(name) === attributes[name]);
+                });
+            },
+            /**
+             * Creates a new, not yet handshaken, LocalSession with the given name.
+             * <pre>
+             * const session = cometdServer.newLocalSession('service');
+             * session.handshake((failure, reply) => {
+             *     session.subscribe('/chat', message => { ... });
+             * });
+             * </pre>
+             *
+             * @param {string} name the name of the LocalSession, for debugging purposes
+             * @returns {LocalSession} a new LocalSession
+             */
+            newLocalSession: name => new LocalSession(_self, name),
+            /**
+             * @typedef {object} RemoteCallCaller
+             * @property {ServerSession} session the session that performed the remote call
+             * @property {function(*): boolean} result replies to the remote call with the given result data,
+             * returning whether the reply was sent, as only the first reply is sent
+             * @property {function(*): boolean} failure replies to the remote call with the given failure data,
+             * returning whether the reply was sent, as only the first reply is sent
+             */
+            /**
+             * @callback remoteCallFn
+             * @param {ServerSession} session the session that performed the remote call
+             * @param {*} data the remote call data
+             * @param {RemoteCallCaller} caller the object to reply to the remote call
+             * @returns {?Promise} optionally, a Promise whose outcome is the reply to the remote call
+             */
+            /**
+             * Adds a handler for remote calls performed by clients on the given service channel,
+             * for example with the cometd client's <code>remoteCall('/users/find', data, callback)</code>.
+             * The handler replies either via the caller object or by returning a Promise.
+             * <pre>
+             * cometdServer.addRemoteCall('/service/users/find', (session, data, caller) => {
+             *     caller.result(users.find(data.name));
+             * });
+             * </pre>
+             * If the handler does not reply within the timeout, the remote call fails with error
+             * <code>406::timeout</code>.
+             * A handler already added for the same channel is replaced.
+             *
+             * @param {string} channelName the service channel name
+             * @param {remoteCallFn} handler the remote call handler
+             * @param {number} [timeout] the remote call timeout in milliseconds, by default the
+             * <code>remoteCallTimeout</code> option; zero or negative values disable the timeout
+             */
+            addRemoteCall: (channelName, handler, timeout) => {
+                if (!/^\/service\/./.test(channelName) || /\*/.test(channelName)) {
+                    throw 'invalid remote call channel ' + channelName;
+                }
+                if (timeout === undefined) {
+                    timeout = _options.remoteCallTimeout;
+                }
+                _self.removeRemoteCall(channelName);
+                const listener = (session, channel, message, callback) => {
+                    if (session) {
+                        _remoteCall(handler, timeout, session, channel, message);
+                    }
+                    callback(undefined, true);
+                };
+                _remoteCalls[channelName] = listener;
+                _self.createServerChannel(channelName).addListener('message', listener);
+            },
+            /**
+             * Removes the remote call handler for the given service channel.
+             *
+             * @param {string} channelName the service channel name
+             * @returns {boolean} whether the remote call handler was removed
+             */
+            removeRemoteCall: channelName => {
+                const listener = _remoteCalls[channelName];
+                if (!listener) {
+                    return false;
+                }
+                delete _remoteCalls[channelName];
+                const channel = _self.getServerChannel(channelName);
+                return channel ? channel.removeListener('message', listener) : false;
+            },
+            /**
+             * @callback channelListenerFn
+             * @param {ServerSession} session the session that published the message
+             * @param {ServerChannel} channel the channel the message is published to
+             * @param {object} message the message
+             * @param {object.<string, string>} variables the variables bound by the channel name
+             * @param {boolCallbackFn} callback the callback to complete, with false to stop processing the message
+             */
+            /**
+             * Adds a <code>message</code> listener that is notified of messages published
+             * to channels that match the given template, with the variables bound by the
+             * channel name.
+             * <pre>
+             * cometdServer.addChannelListener('/chat/{room}/{user}', (session, channel, message, variables, callback) => {
+             *     // variables.room and variables.user are the channel name segments.
+             *     callback();
+             * });
+             * </pre>
+             *
+             * @param {string|ChannelTemplate} template the channel template
+             * @param {channelListenerFn} fn the listener function
+             */
+            addChannelListener: (template, fn) => {
+                if (typeof template === 'string') {
+                    template = new ChannelTemplate(template);
+                }
+                const listener = (session, channel, message, callback) => {
+                    const variables = template.match(message.channel);
+                    if (variables) {
+                        fn(session, _self.getServerChannel(message.channel), message, variables, callback);
+                    } else {
+                        callback(undefined, true);
+                    }
+                };
+                _channelListeners.push({
+                    template: template.template,
+                    fn: fn,
+                    listener: listener
+                });
+                _self.createServerChannel(template.wildName).addListener('message', listener);
+            },
+            /**
+             * Removes a listener added with <code>addChannelListener(template, fn)</code>.
+             *
+             * @param {string|ChannelTemplate} template the channel template
+             * @param {channelListenerFn} fn the listener function
+             * @returns {boolean} whether the listener was removed
+             */
+            removeChannelListener: (template, fn) => {
+                if (typeof template === 'string') {
+                    template = new ChannelTemplate(template);
+                }
+                const index = _channelListeners.findIndex(entry => entry.template === template.template && entry.fn === fn);
+                if (index < 0) {
+                    return false;
+                }
+                const entry = _channelListeners.splice(index, 1)[0];
+                const channel = _self.getServerChannel(template.wildName);
+                return channel ? channel.removeListener('message', entry.listener) : false;
+            },
             /**
              * Returns a map of contextual information related to the message processing.
              *
@@ -1798,13 +4328,47 @@ module.exports = (() => {
             },
             /**
              * Closes this CometD server, stopping its activities.
+             * If the option <code>sessionStore</code> is present, sessions are stored.
+             * Closing an already closed server only notifies the callback.
+             *
+             * @param {function} [callback] the callback notified when the sessions have been stored
              */
-            close: () => {
+            close: callback => {
+                if (_closed) {
+                    if (callback) {
+                        callback();
+                    }
+                    return;
+                }
+                if (_closeCallbacks) {
+                    if (callback) {
+                        _closeCallbacks.push(callback);
+                    }
+                    return;
+                }
+                _closeCallbacks = callback ? [callback] : [];
                 clearTimeout(_sweeper);
+
+                function _complete(failure) {
+                    _closed = true;
+                    _closeCallbacks.forEach(cb => cb(failure));
+                }
+
+                if (_options.sessionStore) {
+                    _storeSessions(failure => _complete(failure));
+                } else {
+                    _complete();
+                }
+                _transports.forEach(transport => {
+                    transport.close();
+                });
             },
 
             // PRIVATE APIs.
 
+            get _browserMetaConnects() {
+                return _browserMetaConnects;
+            },
             _setContext: context => {
                 if (context) {
                     _mixin(_context, context);
@@ -1827,7 +4391,9 @@ module.exports = (() => {
                 Object.defineProperty(message, 'reply', {
                     value: reply
                 });
+                _defineLazy(message);
 
+                const maxMessageBytes = this.options.maxMessageBytes;
                 if (!session) {
                     _unknown(reply);
                     callback();
@@ -1835,6 +4401,11 @@ module.exports = (() => {
                     if (!message.channel) {
                         _error(reply, '400::channel_missing');
                         callback();
+                    } else if (maxMessageBytes > 0 && Buffer.byteLength(JSON.stringify(message)) > maxMessageBytes) {
+                        _self._log('cometd.server', 'rejecting message larger than', maxMessageBytes, 'bytes', message.channel);
+                        _notifyEvent(_self.listeners('rejected'), ['maxMessageBytes', _context.request, session, message]);
+                        _error(reply, '400::message_too_large');
+                        callback();
                     } else {
                         this._extendIncoming(session, message, (failure, result) => {
                             if (failure) {
@@ -1934,9 +4505,25 @@ module.exports = (() => {
                     }
                 });
             },
-            _newServerSession: () => {
+            _isLazy: message => {
+                if (message.lazy) {
+                    return true;
+                }
+                const channel = _self.getServerChannel(message.channel);
+                if (!channel || channel.meta) {
+                    return false;
+                }
+                if (channel.lazy) {
+                    return true;
+                }
+                return channel.wildNames.some(wildName => {
+                    const wild = _self.getServerChannel(wildName);
+                    return wild && wild.lazy;
+                });
+            },
+            _newServerSession: local => {
                 const id = crypto.randomBytes(20).toString('hex');
-                return new ServerSession(_self, id);
+                return new ServerSession(_self, id, local);
             },
             _removeServerSession: (session, timeout) => {
                 const existing = _sessions[session.id];
@@ -1947,6 +4534,44 @@ module.exports = (() => {
                 }
                 return existing;
             },
+            _enablePresence: () => {
+                if (_remoteCalls['/service/presence']) {
+                    return;
+                }
+                // Only the sessions that can subscribe to a channel can subscribe to its presence
+                // channel, and only local sessions can use wildcards or publish presence events.
+                _self.createServerChannel('/presence/**').addAuthorizer((operation, channelName, session, message, callback) => {
+                    const source = _channels[channelName.substring('/presence'.length)];
+                    if (operation === 'create' || session.local) {
+                        callback(undefined, 'grant');
+                    } else if (operation === 'subscribe' && source && source.presence && channelName.indexOf('*') < 0) {
+                        _canSubscribe(session, message, source, (failure, result) => {
+                            callback(failure, result ? 'grant' : 'deny');
+                        });
+                    } else {
+                        callback(undefined, 'deny');
+                    }
+                });
+                _self.addRemoteCall('/service/presence', (session, data, caller) => {
+                    const name = data && data.channel;
+                    const channel = _channels[name];
+                    if (channel && channel.presence) {
+                        // Only the sessions that can subscribe to the channel can know its members.
+                        _canSubscribe(session, caller._message, channel, (failure, result) => {
+                            if (failure || !result) {
+                                caller.failure('403::subscribe_denied');
+                            } else {
+                                caller.result({
+                                    channel: name,
+                                    members: channel.members
+                                });
+                            }
+                        });
+                    } else {
+                        caller.failure('presence not enabled on channel ' + name);
+                    }
+                });
+            },
             _removeServerChannel: channel => {
                 const existing = _channels[channel.name];
                 if (existing) {
@@ -1970,7 +4595,21 @@ module.exports = (() => {
         _channels['/meta/unsubscribe'] = _self.createServerChannel('/meta/unsubscribe');
         _channels['/meta/disconnect'] = _self.createServerChannel('/meta/disconnect');
 
-        _httpTransport = new HTTPTransport(_self);
+        _self.addTransport(new WebSocketTransport(_self));
+        _self.addTransport(new HTTPTransport(_self));
+        _self.addTransport(new EventSourceTransport(_self));
+        _self.addTransport(new JSONPTransport(_self));
+
+        if (_options.sessionStore) {
+            _storeTime = Date.now();
+            _options.sessionStore.load((failure, records) => {
+                if (failure) {
+                    _self._log('cometd.server', 'could not load sessions', failure);
+                } else {
+                    _restoreSessions(records || []);
+                }
+            });
+        }
 
         _sweep();
 
@@ -1982,6 +4621,35 @@ module.exports = (() => {
          * @param {object.<string, *>} options the configuration options
          * @returns {CometDServer} a new CometDServer with the given configuration options
          */
-        createCometDServer: options => new CometDServer(options)
+        createCometDServer: options => new CometDServer(options),
+        /**
+         * @param {string} file the path of the file where session records are stored
+         * @returns {SessionStore} a new session store, to be used as the <code>sessionStore</code> option
+         */
+        createFileSessionStore: file => new FileSessionStore(file),
+        /**
+         * @param {string} template the channel template, such as <code>/chat/{room}/{user}</code>
+         * @returns {ChannelTemplate} a new channel template, to match channel names in listeners,
+         * authorizers and security policies
+         */
+        createChannelTemplate: template => new ChannelTemplate(template),
+        /**
+         * The built-in data filters, see <code>ServerChannel.addDataFilter(filter)</code>.
+         */
+        DataFilters: DataFilters,
+        /**
+         * The base transport, to be extended to implement custom transports:
+         * <pre>
+         * function MyTransport(cometdServer) {
+         *     var _super = new cometd.ServerTransport(cometdServer);
+         *     var _self = cometd.ServerTransport.extends(_super);
+         *     _self.name = () => 'my-transport';
+         *     ...
+         *     return _self;
+         * }
+         * cometdServer.addTransport(new MyTransport(cometdServer));
+         * </pre>
+         */
+        ServerTransport: ServerTransport
     };
 })();
@@ -0,0 +1,40 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {CometDServer} from './cometd-nodejs-server';
+
+export interface OortOptions {
+    url: string;
+    peers?: string[];
+    secret: string;
+    heartbeatInterval?: number;
+    reconnectInterval?: number;
+    requestTimeout?: number;
+    maxQueue?: number;
+    maxMessagesPerRequest?: number;
+}
+
+export interface Oort {
+    readonly url: string;
+    readonly peers: string[];
+
+    addListener(event: 'joined' | 'left', fn: (url: string) => void): void;
+
+    removeListener(event: 'joined' | 'left', fn: (url: string) => void): boolean;
+
+    close(): void;
+}
+
+export function createOort(cometd: CometDServer, options: OortOptions): Oort;
@@ -0,0 +1,620 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+module.exports = (() => {
+    const crypto = require('crypto');
+    const http = require('http');
+    const https = require('https');
+
+    const _forwardChannel = '/service/oort/forward';
+    const _interestChannel = '/service/oort/interest';
+
+    function _notifyEvent(oort, listeners, args) {
+        (listeners || []).slice().forEach(listener => {
+            try {
+                listener.apply(undefined, args);
+            } catch (x) {
+                oort._log('exception notifying listener', x);
+            }
+        });
+    }
+
+    // Hashing makes the lengths equal, as required by timingSafeEqual().
+    function _secretEquals(secret1, secret2) {
+        if (typeof secret1 !== 'string' || typeof secret2 !== 'string') {
+            return false;
+        }
+        const hash1 = crypto.createHash('sha256').update(secret1).digest();
+        const hash2 = crypto.createHash('sha256').update(secret2).digest();
+        return crypto.timingSafeEqual(hash1, hash2);
+    }
+
+    // Only broadcast channels can be forwarded.
+    function _isForwardable(channelName) {
+        return typeof channelName === 'string' &&
+            /^\/[^*]+$/.test(channelName) &&
+            channelName.split('/').slice(1).every(segment => segment.length > 0) &&
+            channelName.indexOf('/meta/') !== 0 &&
+            channelName.indexOf('/service/') !== 0;
+    }
+
+    function _matches(interest, channel) {
+        return interest.has(channel.name) || channel.wildNames.some(wildName => interest.has(wildName));
+    }
+
+    /**
+     * The connection from this node to a peer node.
+     * The connection is a minimal Bayeux client that only publishes to
+     * the peer, and sends periodic heartbeats to detect whether the peer
+     * is still alive.
+     *
+     * @param {Oort} oort the Oort object
+     * @param {string} url the peer URL
+     * @param {boolean} configured whether the peer URL is in the configured list
+     * @returns {PeerConnection} a PeerConnection object
+     * @constructor
+     */
+    function PeerConnection(oort, url, configured) {
+        const _transport = url.indexOf('https:') === 0 ? https : http;
+        const _queue = [];
+        let _cookies = [];
+        let _clientId = null;
+        let _joined = false;
+        let _sending = false;
+        let _closed = false;
+        let _timeout = null;
+        let _interest = new Set();
+        let _maxMessages = oort._maxMessagesPerRequest;
+        let _messageIds = 0;
+
+        function _post(messages, callback) {
+            let completed = false;
+
+            function _complete(failure, replies) {
+                if (!completed) {
+                    completed = true;
+                    callback(failure, replies);
+                }
+            }
+
+            const headers = {
+                'Content-Type': 'application/json'
+            };
+            if (_cookies.length > 0) {
+                headers['Cookie'] = _cookies.join('; ');
+            }
+            const request = _transport.request(url, {
+                method: 'POST',
+                headers: headers
+            }, response => {
+                const setCookies = response.headers['set-cookie'];
+                if (setCookies) {
+                    _cookies = setCookies.map(cookie => cookie.split(';')[0]);
+                }
+                let content = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => {
+                    content += chunk;
+                });
+                response.on('end', () => {
+                    if (response.statusCode !== 200) {
+                        _complete(new Error('HTTP status code ' + response.statusCode));
+                        return;
+                    }
+                    let replies;
+                    try {
+                        replies = JSON.parse(content);
+                    } catch (x) {
+                        _complete(x);
+                        return;
+                    }
+                    _complete(undefined, replies);
+                });
+            });
+            // A peer that does not reply must not stall the connection forever.
+            request.setTimeout(oort._requestTimeout, () => {
+                request.destroy(new Error('request timeout'));
+            });
+            request.on('error', failure => {
+                _complete(failure);
+            });
+            request.end(JSON.stringify(messages));
+        }
+
+        function _schedule(fn, delay) {
+            clearTimeout(_timeout);
+            _timeout = _closed ? null : setTimeout(fn, delay);
+        }
+
+        function _handshake() {
+            oort._log('handshaking with', url);
+            _cookies = [];
+            _post([{
+                channel: '/meta/handshake',
+                version: '1.0',
+                supportedConnectionTypes: ['long-polling'],
+                ext: {
+                    oort: {
+                        url: oort.url,
+                        secret: oort._secret
+                    }
+                }
+            }], (failure, replies) => {
+                const reply = replies && replies[0];
+                if (_closed) {
+                    return;
+                }
+                if (failure || !reply || !reply.successful) {
+                    oort._log('handshake with', url, 'failed', failure || reply);
+                    _failed();
+                    return;
+                }
+                _clientId = reply.clientId;
+                const peerMax = reply.ext && reply.ext.oort && reply.ext.oort.maxMessagesPerRequest;
+                _maxMessages = peerMax > 0 ? Math.min(oort._maxMessagesPerRequest, peerMax) : oort._maxMessagesPerRequest;
+                _joined = true;
+                oort._joined(self, reply.ext && reply.ext.oort);
+                _flush();
+                _schedule(_heartbeat, oort._heartbeatInterval);
+            });
+        }
+
+        function _heartbeat() {
+            // A zero timeout so that the peer replies immediately.
+            _post([{
+                channel: '/meta/connect',
+                clientId: _clientId,
+                connectionType: 'long-polling',
+                advice: {
+                    timeout: 0
+                }
+            }], (failure, replies) => {
+                const reply = replies && replies[0];
+                if (_closed) {
+                    return;
+                }
+                if (failure || !reply || !reply.successful) {
+                    oort._log('heartbeat with', url, 'failed', failure || reply);
+                    _failed();
+                } else {
+                    _schedule(_heartbeat, oort._heartbeatInterval);
+                }
+            });
+        }
+
+        // The peer may reject single messages, for example because of data filters or authorizers.
+        function _logFailures(messages, replies) {
+            (Array.isArray(replies) ? replies : []).forEach(reply => {
+                if (reply && reply.successful === false) {
+                    const message = messages.find(m => m.id === reply.id);
+                    const data = message && message.data;
+                    oort._log('peer', url, 'rejected message on', data && data.channel ? data.channel : reply.channel, reply.error);
+                }
+            });
+        }
+
+        function _failed() {
+            if (_joined) {
+                self.leave();
+            }
+            if (configured) {
+                _schedule(_handshake, oort._reconnectInterval);
+            } else {
+                self.close();
+            }
+        }
+
+        function _flush() {
+            if (!_joined || _sending || _queue.length === 0) {
+                return;
+            }
+            _sending = true;
+            const clientId = _clientId;
+            // Batches must not exceed the limit of the peer, that would reject them.
+            const messages = _queue.splice(0, _maxMessages).map(message => {
+                message.id = String(++_messageIds);
+                message.clientId = clientId;
+                return message;
+            });
+            _post(messages, (failure, replies) => {
+                _sending = false;
+                if (_closed) {
+                    return;
+                }
+                if (failure) {
+                    oort._log('could not send', messages.length, 'messages to', url, failure);
+                    // The connection may have already failed and handshook again.
+                    if (clientId === _clientId) {
+                        _failed();
+                        return;
+                    }
+                } else {
+                    _logFailures(messages, replies);
+                }
+                _flush();
+            });
+        }
+
+        const self = {
+            get url() {
+                return url;
+            },
+            get joined() {
+                return _joined;
+            },
+            get interest() {
+                return _interest;
+            },
+            set interest(value) {
+                _interest = value;
+            },
+            connect: () => {
+                _handshake();
+            },
+            send: (channel, data) => {
+                if (_queue.length >= oort._maxQueue) {
+                    oort._log('queue to', url, 'full, dropping oldest message');
+                    _queue.shift();
+                }
+                _queue.push({
+                    channel: channel,
+                    data: data
+                });
+                _flush();
+            },
+            leave: () => {
+                if (_joined) {
+                    _joined = false;
+                    _clientId = null;
+                    _queue.splice(0, _queue.length);
+                    oort._left(self);
+                }
+            },
+            close: () => {
+                if (_closed) {
+                    return;
+                }
+                const wasJoined = _joined;
+                const clientId = _clientId;
+                self.leave();
+                _closed = true;
+                clearTimeout(_timeout);
+                oort._removed(self);
+                if (wasJoined) {
+                    _post([{
+                        channel: '/meta/disconnect',
+                        clientId: clientId
+                    }], () => {
+                    });
+                }
+            }
+        };
+        return self;
+    }
+
+    /**
+     * A cluster of CometD servers, each one identified by its URL.
+     *
+     * Each node connects to the peers in the configured list of URLs,
+     * and to the peers it discovers from the peers it connects to.
+     * Messages published to broadcast channels on a node are forwarded
+     * to the peers that have subscribers for those channels, where they
+     * are delivered to the local subscribers without being forwarded again.
+     *
+     * Events emitted:
+     * <ul>
+     *   <li><code>joined</code>, when a peer node joins the cluster</li>
+     *   <li><code>left</code>, when a peer node leaves the cluster</li>
+     * </ul>
+     *
+     * @param {CometDServer} cometd the CometD server object
+     * @param {object} options the configuration options
+     * @param {string} options.url the URL of this node, as reachable by the peers
+     * @param {string[]} [options.peers] the URLs of the peers to connect to
+     * @param {string} options.secret the secret shared by the nodes of the cluster, required
+     * so that only the nodes of the cluster can forward messages and join the cluster
+     * @param {number} [options.heartbeatInterval] the interval, in milliseconds, between heartbeats to the peers
+     * @param {number} [options.reconnectInterval] the interval, in milliseconds, between
+     * attempts to connect to configured peers
+     * @param {number} [options.requestTimeout] the time, in milliseconds, to wait for a peer to reply
+     * @param {number} [options.maxQueue] the max number of messages queued for a peer
+     * @param {number} [options.maxMessagesPerRequest] the max number of messages sent to a peer in one request,
+     * lowered to the limit of the peer, if any
+     * @returns {Oort} an Oort object
+     * @constructor
+     */
+    function Oort(cometd, options) {
+        if (!options || !options.url) {
+            throw 'missing oort url';
+        }
+        if (typeof options.secret !== 'string' || options.secret.length === 0) {
+            throw 'missing oort secret';
+        }
+        const _url = options.url;
+        const _connections = {};
+        // Peer URL -> id of the last session the peer handshook.
+        const _inbound = {};
+        const _listeners = {};
+        let _interest = '[]';
+        let _interestTask = null;
+        let _closed = false;
+
+        function _connect(url, configured) {
+            if (_closed || url === _url || _connections[url]) {
+                return;
+            }
+            const connection = new PeerConnection(_self, url, configured);
+            _connections[url] = connection;
+            connection.connect();
+        }
+
+        // The limit of this node, advertised to the peers so that they do not exceed it.
+        function _maxMessagesPerRequest() {
+            const transport = cometd.transports.find(t => t.name() === 'long-polling');
+            return transport ? transport.option('maxMessagesPerRequest') : undefined;
+        }
+
+        function _isPeer(session) {
+            return !!(session && session.getAttribute('oort.url'));
+        }
+
+        function _localInterest() {
+            const names = new Set();
+            cometd.getServerSessions().forEach(session => {
+                if (!_isPeer(session)) {
+                    session.subscriptions.forEach(channel => {
+                        names.add(channel.name);
+                    });
+                }
+            });
+            return Array.from(names).sort();
+        }
+
+        function _scheduleInterest() {
+            if (!_interestTask) {
+                _interestTask = setTimeout(() => {
+                    _interestTask = null;
+                    const interest = JSON.stringify(_localInterest());
+                    if (interest !== _interest) {
+                        _interest = interest;
+                        _self._log('interest changed', interest);
+                        _eachJoined(connection => {
+                            connection.send(_interestChannel, {channels: JSON.parse(interest)});
+                        });
+                    }
+                }, 0);
+            }
+        }
+
+        function _eachJoined(fn) {
+            for (let url in _connections) {
+                if (_connections.hasOwnProperty(url)) {
+                    const connection = _connections[url];
+                    if (connection.joined) {
+                        fn(connection);
+                    }
+                }
+            }
+        }
+
+        const _extension = {
+            incoming: (server, session, message, callback) => {
+                const oort = message.channel === '/meta/handshake' && message.ext && message.ext.oort;
+                if (oort) {
+                    if (!_secretEquals(oort.secret, _self._secret) || !/^https?:\/\//.test(oort.url)) {
+                        _self._log('rejecting peer', oort.url);
+                        callback(undefined, false);
+                        return;
+                    }
+                    session.setAttribute('oort.url', oort.url);
+                    // Peers forward the messages of many sessions, that have already been limited.
+                    session._rateLimitExempt = true;
+                }
+                callback(undefined, true);
+            },
+            outgoing: (server, sender, session, message, callback) => {
+                if (message.channel === '/meta/handshake' && message.successful && _isPeer(session)) {
+                    const peerURL = session.getAttribute('oort.url');
+                    _inbound[peerURL] = session.id;
+                    message.ext = message.ext || {};
+                    // All the known peers, also those not joined yet, so
+                    // that nodes starting at the same time discover each other.
+                    message.ext.oort = {
+                        url: _url,
+                        peers: Object.keys(_connections),
+                        maxMessagesPerRequest: _maxMessagesPerRequest()
+                    };
+                    // Connect back to the peer, if not connected yet.
+                    _connect(peerURL, false);
+                }
+                callback(undefined, message);
+            }
+        };
+
+        function _onForward(session, channel, message, callback) {
+            const data = message.data || {};
+            if (_isPeer(session) && data.origin !== _url) {
+                if (!_isForwardable(data.channel)) {
+                    _self._log('ignoring forwarded message on invalid channel', data.channel);
+                    callback(undefined, true);
+                    return;
+                }
+                _self._log('received from', data.origin, 'message on', data.channel);
+                // The peer session as sender prevents forwarding the message again.
+                cometd.createServerChannel(data.channel).publish(session, data.data);
+            }
+            callback(undefined, true);
+        }
+
+        function _onInterest(session, channel, message, callback) {
+            const peerURL = session && session.getAttribute('oort.url');
+            const connection = peerURL && _connections[peerURL];
+            if (connection && message.data && Array.isArray(message.data.channels)) {
+                connection.interest = new Set(message.data.channels);
+            }
+            callback(undefined, true);
+        }
+
+        function _onBroadcast(channel, session, message) {
+            if (_isPeer(session)) {
+                return;
+            }
+            _eachJoined(connection => {
+                if (_matches(connection.interest, channel)) {
+                    connection.send(_forwardChannel, {
+                        channel: channel.name,
+                        data: message.data,
+                        origin: _url
+                    });
+                }
+            });
+        }
+
+        function _onSessionRemoved(session) {
+            const peerURL = session.getAttribute('oort.url');
+            if (peerURL && _inbound[peerURL] === session.id) {
+                delete _inbound[peerURL];
+                const connection = _connections[peerURL];
+                if (connection) {
+                    // The peer disconnected or expired.
+                    connection.leave();
+                }
+            }
+        }
+
+        const _self = {
+            /**
+             * @returns {string} the URL of this node
+             */
+            get url() {
+                return _url;
+            },
+            /**
+             * @returns {string[]} the URLs of the peers that joined the cluster
+             */
+            get peers() {
+                const result = [];
+                _eachJoined(connection => {
+                    result.push(connection.url);
+                });
+                return result;
+            },
+            /**
+             * Adds a listener function for the given event.
+             *
+             * @param {string} event the event type
+             * @param {function} fn the listener function
+             */
+            addListener: (event, fn) => {
+                let list = _listeners[event];
+                if (!list) {
+                    list = _listeners[event] = [];
+                }
+                list.push(fn);
+            },
+            /**
+             * Removes a listener function for the given event.
+             *
+             * @param {string} event the event type
+             * @param {function} fn the listener function
+             * @returns {boolean} whether the listener was removed
+             */
+            removeListener: (event, fn) => {
+                const list = _listeners[event] || [];
+                const index = list.indexOf(fn);
+                if (index >= 0) {
+                    list.splice(index, 1);
+                    return true;
+                }
+                return false;
+            },
+            /**
+             * Disconnects from the peers and stops the activities of this node.
+             */
+            close: () => {
+                _closed = true;
+                clearTimeout(_interestTask);
+                for (let url in _connections) {
+                    if (_connections.hasOwnProperty(url)) {
+                        _connections[url].close();
+                    }
+                }
+                cometd.removeExtension(_extension);
+                cometd.removeListener('broadcast', _onBroadcast);
+                cometd.removeListener('subscribed', _scheduleInterest);
+                cometd.removeListener('unsubscribed', _scheduleInterest);
+                cometd.removeListener('sessionRemoved', _onSessionRemoved);
+                cometd.getServerChannel(_forwardChannel).removeListener('message', _onForward);
+                cometd.getServerChannel(_interestChannel).removeListener('message', _onInterest);
+            },
+
+            // PRIVATE APIs.
+
+            _secret: options.secret,
+            _heartbeatInterval: options.heartbeatInterval || 5000,
+            _reconnectInterval: options.reconnectInterval || 5000,
+            _requestTimeout: options.requestTimeout || 10000,
+            _maxQueue: options.maxQueue || 1000,
+            _maxMessagesPerRequest: options.maxMessagesPerRequest || 100,
+            _log: function() {
+                cometd._log.apply(cometd, ['cometd.oort', _url].concat([].slice.call(arguments)));
+            },
+            _joined: (connection, ext) => {
+                _self._log('peer joined', connection.url);
+                // Always send the interest, as the peer may be new.
+                connection.send(_interestChannel, {channels: JSON.parse(_interest)});
+                ((ext && ext.peers) || []).forEach(url => {
+                    _connect(url, false);
+                });
+                _notifyEvent(_self, _listeners['joined'], [connection.url]);
+            },
+            _left: connection => {
+                _self._log('peer left', connection.url);
+                connection.interest = new Set();
+                _notifyEvent(_self, _listeners['left'], [connection.url]);
+            },
+            _removed: connection => {
+                if (_connections[connection.url] === connection) {
+                    delete _connections[connection.url];
+                }
+            }
+        };
+
+        cometd.addExtension(_extension);
+        cometd.addListener('broadcast', _onBroadcast);
+        cometd.addListener('subscribed', _scheduleInterest);
+        cometd.addListener('unsubscribed', _scheduleInterest);
+        cometd.addListener('sessionRemoved', _onSessionRemoved);
+        cometd.createServerChannel(_forwardChannel).addListener('message', _onForward);
+        cometd.createServerChannel(_interestChannel).addListener('message', _onInterest);
+        _interest = JSON.stringify(_localInterest());
+        (options.peers || []).forEach(url => {
+            _connect(url, true);
+        });
+
+        return _self;
+    }
+
+    return {
+        /**
+         * @param {CometDServer} cometd the CometD server object
+         * @param {object} options the configuration options
+         * @returns {Oort} a new Oort object, connected to the configured peers
+         */
+        createOort: (cometd, options) => new Oort(cometd, options)
+    };
+})();
@@ -0,0 +1,51 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import {CometDServer, ServerSession} from './cometd-nodejs-server';
+import {Oort} from './oort';
+
+export interface SetiBackend {
+    start(seti: Seti, cometd: CometDServer): void;
+
+    sendToUser(userId: string, channelName: string, data: any): void;
+
+    close(): void;
+}
+
+export interface SetiOptions {
+    backend?: SetiBackend;
+}
+
+export interface Seti {
+    readonly userIds: string[];
+
+    associate(userId: string, session: ServerSession): boolean;
+
+    disassociate(userId: string, session?: ServerSession): boolean;
+
+    getAssociatedSessions(userId: string): ServerSession[];
+
+    sendToUser(userId: string, channelName: string, data: any): boolean;
+
+    deliver(userId: string, channelName: string, data: any): boolean;
+
+    close(): void;
+}
+
+export function createSeti(cometd: CometDServer, options?: SetiOptions): Seti;
+
+export function createMemoryBackend(): SetiBackend;
+
+export function createPeerBackend(oort: Oort): SetiBackend;
@@ -0,0 +1,259 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+module.exports = (() => {
+    const _setiChannel = '/seti/all';
+
+    /**
+     * The default backend, that only knows about the sessions of this server.
+     *
+     * @returns {SetiBackend} a SetiBackend object
+     * @constructor
+     */
+    function MemoryBackend() {
+        return {
+            start: () => {
+            },
+            sendToUser: () => {
+            },
+            close: () => {
+            }
+        };
+    }
+
+    /**
+     * A backend that sends messages for users that are not associated
+     * with sessions of this server to the peers of an Oort cluster.
+     * Messages travel on a broadcast channel that only local sessions
+     * can subscribe and publish to, and that Oort forwards to the peers.
+     *
+     * @param {Oort} oort the Oort object of this server
+     * @returns {SetiBackend} a SetiBackend object
+     * @constructor
+     */
+    function PeerBackend(oort) {
+        let _cometd;
+        let _local;
+        let _authorizer;
+
+        function _receive(seti, message) {
+            const data = message.data || {};
+            // Messages sent by this node have already been delivered locally.
+            if (data.origin !== oort.url) {
+                seti.deliver(data.userId, data.channel, data.data);
+            }
+        }
+
+        return {
+            start: (seti, cometd) => {
+                _cometd = cometd;
+                _authorizer = (operation, channelName, session, message, callback) => {
+                    callback(undefined, session.local ? 'grant' : 'deny');
+                };
+                _cometd.createServerChannel(_setiChannel).addAuthorizer(_authorizer);
+                _local = _cometd.newLocalSession('seti');
+                _local.handshake(() => {
+                    _local.subscribe(_setiChannel, message => _receive(seti, message));
+                });
+            },
+            sendToUser: (userId, channelName, data) => {
+                _cometd.createServerChannel(_setiChannel).publish(null, {
+                    userId: userId,
+                    channel: channelName,
+                    data: data,
+                    origin: oort.url
+                });
+            },
+            close: () => {
+                _local.disconnect();
+                const channel = _cometd.getServerChannel(_setiChannel);
+                if (channel) {
+                    channel.removeAuthorizer(_authorizer);
+                }
+            }
+        };
+    }
+
+    /**
+     * Associates user ids with sessions, so that messages can be sent
+     * to users, rather than to sessions, whether the users are connected
+     * to this server with one or more sessions, or to other servers.
+     * Associations are removed when the sessions are removed.
+     *
+     * @param {CometDServer} cometd the CometD server object
+     * @param {object} [options] the configuration options
+     * @param {SetiBackend} [options.backend] the backend that sends messages to users
+     * that are not associated with sessions of this server, by default a backend
+     * that only knows about the sessions of this server
+     * @returns {Seti} a Seti object
+     * @constructor
+     */
+    function Seti(cometd, options) {
+        const _backend = (options && options.backend) || new MemoryBackend();
+        // User id -> Set of sessions, and session id -> Set of user ids.
+        const _sessions = new Map();
+        const _userIds = new Map();
+
+        function _onRemoved(session) {
+            const userIds = _userIds.get(session.id);
+            if (userIds) {
+                Array.from(userIds).forEach(userId => {
+                    _self.disassociate(userId, session);
+                });
+            }
+        }
+
+        const _self = {
+            /**
+             * Associates the given user id with the given session.
+             *
+             * @param {string} userId the user id
+             * @param {ServerSession} session the session to associate
+             * @returns {boolean} whether the association is new,
+             * false if the session has already been removed
+             */
+            associate: (userId, session) => {
+                // A removed session would never be disassociated.
+                if (cometd.getServerSession(session.id) !== session) {
+                    return false;
+                }
+                let sessions = _sessions.get(userId);
+                if (!sessions) {
+                    sessions = new Set();
+                    _sessions.set(userId, sessions);
+                }
+                if (sessions.has(session)) {
+                    return false;
+                }
+                sessions.add(session);
+                let userIds = _userIds.get(session.id);
+                if (!userIds) {
+                    userIds = new Set();
+                    _userIds.set(session.id, userIds);
+                    session.addListener('removed', _onRemoved);
+                }
+                userIds.add(userId);
+                cometd._log('cometd.seti', 'associated', userId, 'with session', session.id);
+                return true;
+            },
+            /**
+             * Disassociates the given user id from the given session or,
+             * if the session is not specified, from all its sessions.
+             *
+             * @param {string} userId the user id
+             * @param {ServerSession} [session] the session to disassociate
+             * @returns {boolean} whether any association has been removed
+             */
+            disassociate: (userId, session) => {
+                const sessions = _sessions.get(userId);
+                if (!sessions) {
+                    return false;
+                }
+                const targets = session ? [session] : Array.from(sessions);
+                let result = false;
+                targets.forEach(target => {
+                    if (sessions.delete(target)) {
+                        result = true;
+                        const userIds = _userIds.get(target.id);
+                        userIds.delete(userId);
+                        if (userIds.size === 0) {
+                            _userIds.delete(target.id);
+                            target.removeListener('removed', _onRemoved);
+                        }
+                        cometd._log('cometd.seti', 'disassociated', userId, 'from session', target.id);
+                    }
+                });
+                if (sessions.size === 0) {
+                    _sessions.delete(userId);
+                }
+                return result;
+            },
+            /**
+             * @param {string} userId the user id
+             * @returns {ServerSession[]} the sessions of this server associated with the given user id
+             */
+            getAssociatedSessions: userId => Array.from(_sessions.get(userId) || []),
+            /**
+             * @returns {string[]} the user ids associated with sessions of this server
+             */
+            get userIds() {
+                return Array.from(_sessions.keys());
+            },
+            /**
+             * Sends a message to all the sessions associated with the given user id,
+             * both on this server and, depending on the backend, on other servers.
+             *
+             * @param {string} userId the user id
+             * @param {string} channelName the channel of the message
+             * @param {*} data the data of the message
+             * @returns {boolean} whether the user is associated with sessions of this server
+             */
+            sendToUser: (userId, channelName, data) => {
+                const result = _self.deliver(userId, channelName, data);
+                _backend.sendToUser(userId, channelName, data);
+                return result;
+            },
+            /**
+             * Sends a message only to the sessions of this server associated with the
+             * given user id; backends use it for the messages sent by other servers.
+             *
+             * @param {string} userId the user id
+             * @param {string} channelName the channel of the message
+             * @param {*} data the data of the message
+             * @returns {boolean} whether the user is associated with sessions of this server
+             */
+            deliver: (userId, channelName, data) => {
+                const sessions = _self.getAssociatedSessions(userId);
+                sessions.forEach(session => {
+                    session.deliver(null, channelName, data);
+                });
+                return sessions.length > 0;
+            },
+            /**
+             * Stops the backend, and removes all the associations.
+             */
+            close: () => {
+                _backend.close();
+                Array.from(_sessions.keys()).forEach(userId => {
+                    _self.disassociate(userId);
+                });
+            }
+        };
+
+        _backend.start(_self, cometd);
+
+        return _self;
+    }
+
+    return {
+        /**
+         * @param {CometDServer} cometd the CometD server object
+         * @param {object} [options] the configuration options
+         * @returns {Seti} a new Seti object
+         */
+        createSeti: (cometd, options) => new Seti(cometd, options),
+        /**
+         * @returns {SetiBackend} a new backend that only knows about the sessions of this server
+         */
+        createMemoryBackend: () => new MemoryBackend(),
+        /**
+         * @param {Oort} oort the Oort object of this server
+         * @returns {SetiBackend} a new backend that sends messages to the peers of the Oort cluster
+         */
+        createPeerBackend: oort => new PeerBackend(oort)
+    };
+})();
@@ -0,0 +1,110 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as serverLib from '..';
+
+describe('authorizer', () => {
+    let _server: serverLib.CometDServer;
+    let _local: serverLib.LocalSession;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _local = _server.newLocalSession('test');
+        _local.handshake(() => {
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _server.close();
+    });
+
+    it('grants operations via wildcard channel', done => {
+        const operations: string[] = [];
+        _server.createServerChannel('/chat/**').addAuthorizer((operation, channelName, session, message, callback) => {
+            assert.strictEqual(session, _local.session);
+            operations.push(operation + ' ' + channelName);
+            callback(undefined, 'grant');
+        });
+        _local.subscribe('/chat/room', () => {
+        }, (failure, reply) => {
+            assert.strictEqual(reply!.successful, true);
+            _local.publish('/chat/room', 'hello', (failure, reply) => {
+                assert.strictEqual(reply!.successful, true);
+                assert.deepStrictEqual(operations, [
+                    'create /chat/room',
+                    'subscribe /chat/room',
+                    'publish /chat/room'
+                ]);
+                done();
+            });
+        });
+    });
+
+    it('denies operation if any authorizer denies', done => {
+        _server.createServerChannel('/chat/**').addAuthorizer((operation, channelName, session, message, callback) => {
+            callback(undefined, 'grant');
+        });
+        _server.createServerChannel('/chat/secret').addAuthorizer((operation, channelName, session, message, callback) => {
+            callback(undefined, operation === 'publish' ? 'deny' : 'ignore');
+        });
+        _local.publish('/chat/secret', 'hello', (failure, reply) => {
+            assert.strictEqual(reply!.successful, false);
+            assert.strictEqual(reply!.error, '403::publish_denied');
+            _local.subscribe('/chat/secret', () => {
+            }, (failure, reply) => {
+                assert.strictEqual(reply!.successful, true);
+                done();
+            });
+        });
+    });
+
+    it('denies operation if all authorizers ignore', done => {
+        _server.createServerChannel('/admin/*').addAuthorizer((operation, channelName, session, message, callback) => {
+            callback(undefined, 'ignore');
+        });
+        _local.publish('/admin/reset', 'now', (failure, reply) => {
+            assert.strictEqual(reply!.successful, false);
+            assert.strictEqual(reply!.error, '403::channel_denied');
+            assert.strictEqual(_server.getServerChannel('/admin/reset'), undefined);
+            // Channels without authorizers are not affected.
+            _local.publish('/other', 'data', (failure, reply) => {
+                assert.strictEqual(reply!.successful, true);
+                done();
+            });
+        });
+    });
+
+    it('evaluates authorizers only if the security policy grants', done => {
+        let authorized = false;
+        _server.policy = {
+            canSubscribe: (session, message, channel, callback) => {
+                callback(undefined, false);
+            }
+        };
+        _server.createServerChannel('/news').addAuthorizer((operation, channelName, session, message, callback) => {
+            authorized = true;
+            callback(undefined, 'grant');
+        });
+        _local.subscribe('/news', () => {
+        }, (failure, reply) => {
+            assert.strictEqual(reply!.successful, false);
+            assert.strictEqual(reply!.error, '403::subscribe_denied');
+            assert.strictEqual(authorized, false);
+            done();
+        });
+    });
+});
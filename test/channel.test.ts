@@ -0,0 +1,68 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as serverLib from '..';
+
+describe('channel', () => {
+    let _server: serverLib.CometDServer;
+
+    afterEach(() => {
+        _server.close();
+    });
+
+    it('initializes channel before it is visible', () => {
+        _server = serverLib.createCometDServer();
+        const added: boolean[] = [];
+        _server.addListener('channelAdded', (channel: serverLib.ServerChannel) => {
+            added.push(channel.persistent);
+        });
+        const channel = _server.createServerChannel('/foo', channel => {
+            assert.strictEqual(_server.getServerChannel('/foo'), undefined);
+            channel.persistent = true;
+            channel.lazy = true;
+            channel.broadcastToPublisher = false;
+        });
+        assert.strictEqual(channel.lazy, true);
+        assert.strictEqual(channel.broadcastToPublisher, false);
+        assert.deepStrictEqual(added, [true]);
+        // The initializer is not invoked for existing channels.
+        const existing = _server.createServerChannel('/foo', () => {
+            assert.fail();
+        });
+        assert.strictEqual(existing, channel);
+    });
+
+    it('sweeps idle channels after channelIdleTimeout', function(done) {
+        this.timeout(5000);
+        _server = serverLib.createCometDServer({
+            sweepPeriod: 100,
+            channelIdleTimeout: 500
+        });
+        const start = Date.now();
+        _server.createServerChannel('/persistent', channel => {
+            channel.persistent = true;
+        });
+        _server.createServerChannel('/idle');
+        _server.addListener('channelRemoved', (channel: serverLib.ServerChannel) => {
+            assert.strictEqual(channel.name, '/idle');
+            assert.ok(Date.now() - start >= 500);
+            setTimeout(() => {
+                assert.ok(_server.getServerChannel('/persistent'));
+                done();
+            }, 300);
+        });
+    });
+});
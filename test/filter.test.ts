@@ -0,0 +1,143 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as serverLib from '..';
+
+describe('filter', () => {
+    let _server: serverLib.CometDServer;
+    let _local: serverLib.LocalSession;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _local = _server.newLocalSession('test');
+        _local.handshake(() => {
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _server.close();
+    });
+
+    it('filters data with built-in filters', done => {
+        const chat = _server.createServerChannel('/chat/**');
+        chat.addDataFilter(serverLib.DataFilters.maxLength(5));
+        chat.addDataFilter(serverLib.DataFilters.escapeHTML());
+        _local.subscribe('/chat/room', message => {
+            assert.deepStrictEqual(message.data, {
+                text: '&lt;b&gt;hi',
+                tags: ['&amp;'],
+                count: 1
+            });
+            done();
+        }, () => {
+            _local.publish('/chat/room', {text: '<b>hi</b>', tags: ['&'], count: 1}, (failure, reply) => {
+                assert.strictEqual(reply!.successful, true);
+            });
+        });
+    });
+
+    it('rejects data with built-in filters', done => {
+        const chat = _server.createServerChannel('/chat/*');
+        chat.addDataFilter(serverLib.DataFilters.rejectPattern(/spam/i, '403::spam'));
+        chat.addDataFilter(serverLib.DataFilters.maxDepth(2));
+        let received = 0;
+        _local.subscribe('/chat/room', () => {
+            ++received;
+        }, () => {
+            _local.publish('/chat/room', {text: 'SPAM!'}, (failure, reply) => {
+                assert.strictEqual(reply!.successful, false);
+                assert.strictEqual(reply!.error, '403::spam');
+                _local.publish('/chat/room', {a: {b: {c: 1}}}, (failure, reply) => {
+                    assert.strictEqual(reply!.successful, false);
+                    assert.strictEqual(reply!.error, '400::data_too_deep');
+                    _local.publish('/chat/room', {a: {b: 1}}, (failure, reply) => {
+                        assert.strictEqual(reply!.successful, true);
+                        assert.strictEqual(received, 1);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('filters data with a hasOwnProperty key', done => {
+        const chat = _server.createServerChannel('/chat/*');
+        chat.addDataFilter(serverLib.DataFilters.escapeHTML());
+        chat.addDataFilter(serverLib.DataFilters.maxDepth(2));
+        // As parsed from the JSON sent by a client.
+        const data = JSON.parse('{"hasOwnProperty": "<b>", "nested": {"hasOwnProperty": 1}}');
+        _local.subscribe('/chat/room', message => {
+            assert.deepStrictEqual(message.data, {
+                hasOwnProperty: '&lt;b&gt;',
+                nested: {hasOwnProperty: 1}
+            });
+            done();
+        }, () => {
+            _local.publish('/chat/room', data, (failure, reply) => {
+                assert.strictEqual(reply!.successful, true);
+            });
+        });
+    });
+
+    it('applies custom filters in order', done => {
+        const order: string[] = [];
+        _server.createServerChannel('/chat/**').addDataFilter((session, channel, data, callback) => {
+            assert.strictEqual(session, _local.session);
+            assert.strictEqual(channel.name, '/chat/room');
+            order.push('wild');
+            setTimeout(() => callback(undefined, data + 1), 0);
+        });
+        const room = _server.createServerChannel('/chat/room');
+        const filter: serverLib.DataFilter = (session, channel, data, callback) => {
+            order.push('room');
+            callback(undefined, data * 10);
+        };
+        room.addDataFilter(filter);
+        const data: any[] = [];
+        _local.subscribe('/chat/room', message => {
+            data.push(message.data);
+        }, () => {
+            _local.publish('/chat/room', 1, () => {
+                assert.strictEqual(room.removeDataFilter(filter), true);
+                assert.deepStrictEqual(room.dataFilters, []);
+                _local.publish('/chat/room', 1, () => {
+                    assert.deepStrictEqual(order, ['wild', 'room', 'wild']);
+                    assert.deepStrictEqual(data, [20, 2]);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('rejects data with custom filter error', done => {
+        const filtered: string[] = [];
+        _server.createServerChannel('/chat/*').addDataFilter((session, channel, data, callback) => {
+            callback(undefined, data, data.text ? undefined : '400::empty_text');
+        });
+        _server.createServerChannel('/chat/room').addDataFilter((session, channel, data, callback) => {
+            filtered.push(data.text);
+            callback(undefined, data);
+        });
+        _local.publish('/chat/room', {}, (failure, reply) => {
+            assert.strictEqual(reply!.successful, false);
+            assert.strictEqual(reply!.error, '400::empty_text');
+            // Filters after the rejecting one are not evaluated.
+            assert.deepStrictEqual(filtered, []);
+            done();
+        });
+    });
+});
@@ -0,0 +1,186 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import * as clientLib from 'cometd';
+import {AddressInfo} from 'net';
+
+require('cometd-nodejs-client').adapt();
+
+describe('history', () => {
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _client: clientLib.CometD;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _http = http.createServer(_server.handle);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            _client = new clientLib.CometD();
+            _client.unregisterTransport('websocket');
+            _client.configure({
+                url: 'http://localhost:' + port + '/cometd'
+            });
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    function publish(channel: serverLib.ServerChannel, data: any[]) {
+        data.forEach(d => channel.publish(null, d));
+    }
+
+    it('replays last messages on subscribe', done => {
+        const channel = _server.createServerChannel('/dashboard');
+        channel.history = {size: 2};
+        publish(channel, [1, 2, 3]);
+        const local = _server.newLocalSession('test');
+        const messages: serverLib.ServerMessage[] = [];
+        local.handshake(() => {
+            local.subscribe('/dashboard', message => {
+                messages.push(message);
+            }, (failure, reply) => {
+                assert.strictEqual(reply!.successful, true);
+                assert.deepStrictEqual(messages.map(m => m.data), [2, 3]);
+                assert.deepStrictEqual(messages.map(m => m.ext.seq), [2, 3]);
+                done();
+            });
+        });
+    });
+
+    it('replays messages from sequence number', done => {
+        const channel = _server.createServerChannel('/dashboard');
+        channel.history = {size: 10};
+        publish(channel, ['a', 'b', 'c']);
+        const data: any[] = [];
+        _client.handshake(hs => {
+            if (hs.successful) {
+                _client.subscribe('/dashboard', message => {
+                    data.push(message.data);
+                    if (data.length === 2) {
+                        assert.deepStrictEqual(data, ['b', 'c']);
+                        _client.disconnect(() => {
+                            done();
+                        });
+                    }
+                }, {
+                    ext: {
+                        replay: 1
+                    }
+                });
+            }
+        });
+    });
+
+    it('does not notify publish receipts when replaying messages', done => {
+        const channel = _server.createServerChannel('/dashboard');
+        channel.history = {size: 10};
+        const subscriber = _server.newLocalSession('subscriber');
+        subscriber.handshake(() => {
+            subscriber.subscribe('/dashboard', () => {
+            }, () => {
+                let receipts = 0;
+                channel.publish(null, 'data', undefined, () => {
+                    ++receipts;
+                });
+                setTimeout(() => {
+                    assert.strictEqual(receipts, 1);
+                    const local = _server.newLocalSession('test');
+                    const data: any[] = [];
+                    local.handshake(() => {
+                        local.subscribe('/dashboard', message => {
+                            data.push(message.data);
+                        }, () => {
+                            setTimeout(() => {
+                                assert.deepStrictEqual(data, ['data']);
+                                assert.strictEqual(receipts, 1);
+                                done();
+                            }, 50);
+                        });
+                    });
+                }, 50);
+            });
+        });
+    });
+
+    it('does not replay messages older than maxAge', done => {
+        const channel = _server.createServerChannel('/dashboard');
+        channel.history = {maxAge: 50};
+        publish(channel, ['old']);
+        setTimeout(() => {
+            publish(channel, ['new']);
+            const local = _server.newLocalSession('test');
+            const data: any[] = [];
+            local.handshake(() => {
+                local.subscribe('/dashboard', message => {
+                    data.push(message.data);
+                }, () => {
+                    assert.deepStrictEqual(data, ['new']);
+                    done();
+                });
+            });
+        }, 100);
+    });
+
+    it('does not replay messages again when subscribing again', done => {
+        const channel = _server.createServerChannel('/dashboard');
+        channel.history = {size: 10};
+        publish(channel, [1, 2]);
+        const local = _server.newLocalSession('test');
+        const data: any[] = [];
+        local.handshake(() => {
+            local.subscribe('/dashboard', message => {
+                data.push(message.data);
+            }, () => {
+                local.subscribe('/dashboard', () => {
+                }, (failure, reply) => {
+                    assert.strictEqual(reply!.successful, true);
+                    setTimeout(() => {
+                        assert.deepStrictEqual(data, [1, 2]);
+                        done();
+                    }, 50);
+                });
+            });
+        });
+    });
+
+    it('does not replay messages to wildcard subscriptions', done => {
+        const channel = _server.createServerChannel('/dashboard/a');
+        channel.history = {size: 10};
+        publish(channel, [1]);
+        const local = _server.newLocalSession('test');
+        const data: any[] = [];
+        local.handshake(() => {
+            local.subscribe('/dashboard/*', message => {
+                data.push(message.data);
+            }, (failure, reply) => {
+                assert.strictEqual(reply!.successful, true);
+                publish(channel, [2]);
+                setTimeout(() => {
+                    assert.deepStrictEqual(data, [2]);
+                    done();
+                }, 50);
+            });
+        });
+    });
+});
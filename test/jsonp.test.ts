@@ -0,0 +1,218 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import {AddressInfo} from 'net';
+
+describe('jsonp', () => {
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _uri: string;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _http = http.createServer(_server.handle);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            _uri = 'http://localhost:' + port + '/cometd';
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    function newRequest(callbackName: string, messages: any[]) {
+        return _uri + '?jsonp=' + callbackName + '&message=' + encodeURIComponent(JSON.stringify(messages));
+    }
+
+    function receiveResponse(response: http.IncomingMessage, callbackName: string, callback: (replies: any[]) => void) {
+        assert.strictEqual(response.statusCode, 200);
+        assert.ok(/^text\/javascript/.test(response.headers['content-type'] || ''));
+        let content = '';
+        response.on('data', chunk => {
+            content += chunk;
+        });
+        response.on('end', () => {
+            const prefix = callbackName + '(';
+            const suffix = ');';
+            assert.ok(content.startsWith(prefix));
+            assert.ok(content.endsWith(suffix));
+            callback(JSON.parse(content.substring(prefix.length, content.length - suffix.length)));
+        });
+    }
+
+    function extractBrowserCookie(response: http.IncomingMessage) {
+        const values = response.headers['set-cookie'] || [];
+        for (let i = 0; i < values.length; ++i) {
+            const nameValue = values[i].split(';')[0].split('=');
+            if (nameValue[0] === 'BAYEUX_BROWSER') {
+                return nameValue[1];
+            }
+        }
+        return null;
+    }
+
+    it('rejects invalid callback name', done => {
+        http.get(newRequest('alert(1)', [{channel: '/meta/handshake'}]), response => {
+            assert.strictEqual(response.statusCode, 400);
+            done();
+        });
+    });
+
+    it('rejects missing message parameter', done => {
+        http.get(_uri + '?jsonp=cb', response => {
+            assert.strictEqual(response.statusCode, 400);
+            done();
+        });
+    });
+
+    it('rejects non-object messages', done => {
+        http.get(newRequest('cb', [null]), r1 => {
+            assert.strictEqual(r1.statusCode, 400);
+            r1.resume();
+            // The server is still running.
+            http.get(newRequest('cb', [{
+                channel: '/meta/handshake',
+                version: '1.0',
+                supportedConnectionTypes: ['callback-polling']
+            }]), r2 => {
+                receiveResponse(r2, 'cb', replies => {
+                    assert.strictEqual(replies[0].successful, true);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('replies to /meta/handshake and /meta/connect messages', done => {
+        http.get(newRequest('cb_0', [{
+            channel: '/meta/handshake',
+            version: '1.0',
+            supportedConnectionTypes: ['callback-polling']
+        }]), r1 => {
+            receiveResponse(r1, 'cb_0', replies1 => {
+                const reply1 = replies1[0];
+                assert.strictEqual(reply1.successful, true);
+                assert.ok(reply1.supportedConnectionTypes.indexOf('callback-polling') >= 0);
+                const cookie = extractBrowserCookie(r1);
+                assert.ok(cookie);
+                http.get(newRequest('cb_1', [{
+                    channel: '/meta/connect',
+                    clientId: reply1.clientId,
+                    connectionType: 'callback-polling',
+                    advice: {
+                        timeout: 0
+                    }
+                }]), {
+                    headers: {
+                        Cookie: 'BAYEUX_BROWSER=' + cookie
+                    }
+                }, r2 => {
+                    receiveResponse(r2, 'cb_1', replies2 => {
+                        const reply2 = replies2[0];
+                        assert.strictEqual(reply2.channel, '/meta/connect');
+                        assert.strictEqual(reply2.successful, true);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('counts sessions per browser across long-polling and callback-polling', done => {
+        http.get(newRequest('cb_0', [{
+            channel: '/meta/handshake',
+            version: '1.0',
+            supportedConnectionTypes: ['callback-polling']
+        }]), r1 => {
+            receiveResponse(r1, 'cb_0', replies1 => {
+                const jsonpId = replies1[0].clientId;
+                const cookie = extractBrowserCookie(r1);
+                const headers = {
+                    'Content-Type': 'application/json',
+                    'Cookie': 'BAYEUX_BROWSER=' + cookie
+                };
+                // The same browser handshakes with long-polling.
+                http.request(_uri, {method: 'POST', headers: headers}, r2 => {
+                    let content = '';
+                    r2.on('data', chunk => {
+                        content += chunk;
+                    });
+                    r2.on('end', () => {
+                        const session = _server.getServerSession(JSON.parse(content)[0].clientId);
+                        session.addListener('suspended', () => {
+                            http.get(newRequest('cb_1', [{
+                                channel: '/meta/connect',
+                                clientId: jsonpId,
+                                connectionType: 'callback-polling'
+                            }]), {
+                                headers: {
+                                    Cookie: 'BAYEUX_BROWSER=' + cookie
+                                }
+                            }, r3 => {
+                                receiveResponse(r3, 'cb_1', replies3 => {
+                                    const reply3 = replies3[0];
+                                    assert.strictEqual(reply3.successful, true);
+                                    assert.strictEqual(reply3.advice['multiple-clients'], true);
+                                    session.disconnect();
+                                    done();
+                                });
+                            });
+                        });
+                        // Held by the server, as it is the only /meta/connect of the browser.
+                        http.request(_uri, {method: 'POST', headers: headers}).end(JSON.stringify([{
+                            channel: '/meta/connect',
+                            clientId: session.id,
+                            connectionType: 'long-polling'
+                        }]));
+                    });
+                }).end(JSON.stringify([{
+                    channel: '/meta/handshake',
+                    version: '1.0',
+                    supportedConnectionTypes: ['long-polling']
+                }]));
+            });
+        });
+    });
+
+    it('yields unknown session without browser cookie', done => {
+        http.get(newRequest('cb', [{
+            channel: '/meta/handshake',
+            version: '1.0',
+            supportedConnectionTypes: ['callback-polling']
+        }]), r1 => {
+            receiveResponse(r1, 'cb', replies1 => {
+                http.get(newRequest('cb', [{
+                    channel: '/meta/connect',
+                    clientId: replies1[0].clientId,
+                    connectionType: 'callback-polling'
+                }]), r2 => {
+                    receiveResponse(r2, 'cb', replies2 => {
+                        const reply2 = replies2[0];
+                        assert.strictEqual(reply2.successful, false);
+                        assert.ok(/^402::/.test(reply2.error));
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
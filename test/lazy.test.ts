@@ -0,0 +1,137 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import * as clientLib from 'cometd';
+import {AddressInfo} from 'net';
+
+require('cometd-nodejs-client').adapt();
+
+describe('lazy', () => {
+    const _maxLazyInterval = 1000;
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _client: clientLib.CometD;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer({
+            maxLazyInterval: _maxLazyInterval
+        });
+        _http = http.createServer(_server.handle);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            _client = new clientLib.CometD();
+            _client.unregisterTransport('websocket');
+            _client.configure({
+                url: 'http://localhost:' + port + '/cometd'
+            });
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    function subscribe(channelName: string, onMessage: (message: any) => void, callback: () => void) {
+        // Wait for the first /meta/connect, that is never held by the
+        // server, so that the next /meta/connect will be held.
+        const listener = _client.addListener('/meta/connect', cn => {
+            if (cn.successful) {
+                _client.removeListener(listener);
+                _client.subscribe(channelName, onMessage, ss => {
+                    if (ss.successful) {
+                        callback();
+                    }
+                });
+            }
+        });
+        _client.handshake();
+    }
+
+    it('delays messages published to lazy channel', function(done) {
+        this.timeout(3 * _maxLazyInterval);
+        const channelName = '/lazy';
+        _server.createServerChannel(channelName).lazy = true;
+        let start = 0;
+        subscribe(channelName, message => {
+            assert.strictEqual(message.data, 'lazy');
+            assert.ok(Date.now() - start >= _maxLazyInterval / 2);
+            _client.disconnect(() => done());
+        }, () => {
+            start = Date.now();
+            _server.getServerChannel(channelName).publish(null, 'lazy');
+        });
+    });
+
+    it('inherits lazyness from wildcard channels', function(done) {
+        this.timeout(3 * _maxLazyInterval);
+        _server.createServerChannel('/lazy/*').lazy = true;
+        let start = 0;
+        subscribe('/lazy/foo', message => {
+            assert.ok(Date.now() - start >= _maxLazyInterval / 2);
+            _client.disconnect(() => done());
+        }, () => {
+            start = Date.now();
+            _server.getServerChannel('/lazy/foo').publish(null, 'lazy');
+        });
+    });
+
+    it('delivers lazy messages with non-lazy messages', function(done) {
+        this.timeout(3 * _maxLazyInterval);
+        _server.createServerChannel('/lazy').lazy = true;
+        const received: any[] = [];
+        let start = 0;
+        subscribe('/lazy', message => {
+            received.push(message.data);
+        }, () => {
+            _client.subscribe('/eager', message => {
+                received.push(message.data);
+                assert.deepStrictEqual(received, ['lazy', 'eager']);
+                assert.ok(Date.now() - start < _maxLazyInterval / 2);
+                _client.disconnect(() => done());
+            }, ss => {
+                if (ss.successful) {
+                    start = Date.now();
+                    _server.getServerChannel('/lazy').publish(null, 'lazy');
+                    _server.getServerChannel('/eager').publish(null, 'eager');
+                }
+            });
+        });
+    });
+
+    it('delays messages marked lazy by listeners', function(done) {
+        this.timeout(3 * _maxLazyInterval);
+        const channelName = '/marked';
+        const channel = _server.createServerChannel(channelName);
+        channel.addListener('message', (session, channel, message, callback) => {
+            message.lazy = true;
+            callback();
+        });
+        let start = 0;
+        subscribe(channelName, message => {
+            assert.strictEqual(message.lazy, undefined);
+            assert.ok(Date.now() - start >= _maxLazyInterval / 2);
+            _client.disconnect(() => done());
+        }, () => {
+            start = Date.now();
+            channel.publish(null, 'data');
+        });
+    });
+});
@@ -0,0 +1,178 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import * as clientLib from 'cometd';
+import {AddressInfo} from 'net';
+
+require('cometd-nodejs-client').adapt();
+
+describe('local session', () => {
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _client: clientLib.CometD;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _http = http.createServer(_server.handle);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            _client = new clientLib.CometD();
+            _client.unregisterTransport('websocket');
+            _client.configure({
+                url: 'http://localhost:' + port + '/cometd'
+            });
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    it('handshakes through the security policy and extensions', done => {
+        let policy = false;
+        _server.policy = {
+            canHandshake: (session, message, callback) => {
+                policy = true;
+                assert.strictEqual(session.local, true);
+                assert.strictEqual(message.ext.token, 'secret');
+                callback(undefined, true);
+            }
+        };
+        let extension = false;
+        _server.addExtension({
+            incoming: (cometd, session, message, callback) => {
+                if (message.channel === '/meta/handshake') {
+                    extension = true;
+                }
+                callback(undefined, true);
+            }
+        });
+        let added: serverLib.ServerSession | null = null;
+        _server.addListener('sessionAdded', (session: serverLib.ServerSession) => {
+            added = session;
+        });
+
+        const local = _server.newLocalSession('test');
+        assert.strictEqual(local.handshaken, false);
+        local.handshake({ext: {token: 'secret'}}, (failure, reply) => {
+            assert.ifError(failure);
+            assert.strictEqual(reply!.successful, true);
+            assert.strictEqual(policy, true);
+            assert.strictEqual(extension, true);
+            assert.strictEqual(local.handshaken, true);
+            assert.strictEqual(added, local.session);
+            assert.strictEqual(_server.getServerSession(reply!.clientId!), local.session);
+            local.disconnect((failure, reply) => {
+                assert.ifError(failure);
+                assert.strictEqual(reply!.successful, true);
+                assert.strictEqual(local.handshaken, false);
+                assert.strictEqual(_server.getServerSession(added!.id), undefined);
+                done();
+            });
+        });
+    });
+
+    it('exchanges messages with remote clients', done => {
+        const local = _server.newLocalSession('echo');
+        local.handshake((failure, reply) => {
+            assert.ifError(failure);
+            assert.strictEqual(reply!.successful, true);
+            local.subscribe('/echo/*', message => {
+                assert.strictEqual(message.channel, '/echo/in');
+                local.publish('/echo/out', message.data);
+            }, (failure, reply) => {
+                assert.ifError(failure);
+                assert.strictEqual(reply!.successful, true);
+                _client.handshake(hs => {
+                    if (hs.successful) {
+                        _client.subscribe('/echo/out', msg => {
+                            assert.strictEqual(msg.data, 'hello');
+                            _client.disconnect(() => {
+                                done();
+                            });
+                        }, ss => {
+                            if (ss.successful) {
+                                _client.publish('/echo/in', 'hello');
+                            }
+                        });
+                    }
+                });
+            });
+        });
+    });
+
+    it('is denied publish by the security policy', done => {
+        _server.policy = {
+            canPublish: (session, message, channel, callback) => {
+                callback(undefined, !session.local);
+            }
+        };
+        const local = _server.newLocalSession('test');
+        local.handshake(() => {
+            local.publish('/foo', 'data', (failure, reply) => {
+                assert.ifError(failure);
+                assert.strictEqual(reply!.successful, false);
+                assert.strictEqual(reply!.error, '403::publish_denied');
+                done();
+            });
+        });
+    });
+
+    it('notifies wildcard subscribers of messages on channels that do not exist', done => {
+        const local = _server.newLocalSession('test');
+        local.handshake(() => {
+            local.subscribe('/chat/*', message => {
+                assert.strictEqual(message.channel, '/chat/room');
+                assert.strictEqual(message.data, 'data');
+                assert.strictEqual(_server.getServerChannel('/chat/room'), undefined);
+                done();
+            }, () => {
+                local.session!.deliver(null, '/chat/room', 'data');
+            });
+        });
+    });
+
+    it('replies session unknown if not handshaken', done => {
+        const local = _server.newLocalSession('test');
+        local.publish('/foo', 'data', (failure, reply) => {
+            assert.ifError(failure);
+            assert.strictEqual(reply!.successful, false);
+            assert.strictEqual(reply!.error, '402::session_unknown');
+            done();
+        });
+    });
+
+    it('is disconnected from the server side', done => {
+        const local = _server.newLocalSession('test');
+        local.handshake(() => {
+            local.subscribe('/foo', () => {
+                done(new Error('must not receive messages'));
+            }, () => {
+                local.session!.disconnect();
+                assert.strictEqual(local.handshaken, false);
+                assert.strictEqual(local.session, null);
+                _server.getServerChannel('/foo').publish(null, 'data', () => {
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,338 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import * as oortLib from '../oort';
+import {Latch} from './latch';
+import {AddressInfo} from 'net';
+
+describe('oort', () => {
+    interface Node {
+        server: serverLib.CometDServer;
+        http: http.Server;
+        url: string;
+        oort?: oortLib.Oort;
+    }
+
+    let _nodes: Node[];
+
+    function startNodes(count: number, callback: () => void, options?: serverLib.Options) {
+        const latch = new Latch(count, callback);
+        for (let i = 0; i < count; ++i) {
+            const server = serverLib.createCometDServer(options);
+            const httpServer = http.createServer(server.handle);
+            const node: Node = {server: server, http: httpServer, url: ''};
+            _nodes.push(node);
+            httpServer.listen(0, 'localhost', () => {
+                node.url = 'http://localhost:' + (httpServer.address() as AddressInfo).port + '/cometd';
+                latch.signal();
+            });
+        }
+    }
+
+    function startOort(node: Node, peers: string[], options?: Partial<oortLib.OortOptions>) {
+        node.oort = oortLib.createOort(node.server, Object.assign({
+            url: node.url,
+            peers: peers,
+            secret: 'secret',
+            heartbeatInterval: 200,
+            reconnectInterval: 200
+        }, options));
+        return node.oort;
+    }
+
+    // Subscribes a local session on each node, collecting the data of the messages it receives.
+    function subscribeAll(channelName: string, received: any[][], callback: () => void) {
+        const latch = new Latch(_nodes.length, callback);
+        _nodes.forEach((node, i) => {
+            received[i] = [];
+            const local = node.server.newLocalSession('node' + i);
+            local.handshake(() => {
+                local.subscribe(channelName, message => {
+                    received[i].push(message.data);
+                }, () => {
+                    latch.signal();
+                });
+            });
+        });
+    }
+
+    beforeEach(() => {
+        _nodes = [];
+    });
+
+    afterEach(() => {
+        _nodes.forEach(node => {
+            if (node.oort) {
+                node.oort.close();
+            }
+            node.http.close();
+            node.server.close();
+        });
+    });
+
+    it('discovers peers and fires join and leave events', done => {
+        startNodes(2, () => {
+            const [node1, node2] = _nodes;
+            const joined = new Latch(2, () => {
+                assert.deepStrictEqual(node1.oort!.peers, [node2.url]);
+                assert.deepStrictEqual(node2.oort!.peers, [node1.url]);
+                node1.oort!.addListener('left', url => {
+                    assert.strictEqual(url, node2.url);
+                    assert.deepStrictEqual(node1.oort!.peers, []);
+                    done();
+                });
+                node2.oort!.close();
+            });
+            // Only node1 is configured with the URL of node2.
+            startOort(node1, [node2.url]).addListener('joined', url => {
+                assert.strictEqual(url, node2.url);
+                joined.signal();
+            });
+            startOort(node2, []).addListener('joined', url => {
+                assert.strictEqual(url, node1.url);
+                joined.signal();
+            });
+        });
+    });
+
+    it('forwards broadcasts to peers with subscribers', done => {
+        startNodes(2, () => {
+            const [node1, node2] = _nodes;
+            const others: string[] = [];
+            const local = node2.server.newLocalSession('test');
+            local.handshake(() => {
+                local.subscribe('/chat/*', message => {
+                    assert.strictEqual(message.channel, '/chat/room');
+                    assert.strictEqual(message.data, 'hello');
+                    // Not forwarded, as there are no subscribers on node2.
+                    assert.deepStrictEqual(others, []);
+                    done();
+                }, () => {
+                    const joined = new Latch(2, () => {
+                        // Wait for the subscriptions to be exchanged.
+                        setTimeout(() => {
+                            node1.server.createServerChannel('/other').publish(null, 'ignored');
+                            node1.server.createServerChannel('/chat/room').publish(null, 'hello');
+                        }, 100);
+                    });
+                    node2.server.addListener('broadcast', (channel: serverLib.ServerChannel) => {
+                        if (channel.name === '/other') {
+                            others.push(channel.name);
+                        }
+                    });
+                    startOort(node1, [node2.url]).addListener('joined', () => joined.signal());
+                    startOort(node2, []).addListener('joined', () => joined.signal());
+                });
+            });
+        });
+    });
+
+    it('forwards bursts within the limits of the peers', done => {
+        startNodes(2, () => {
+            const [node1, node2] = _nodes;
+            const received: any[] = [];
+            const local = node2.server.newLocalSession('test');
+            local.handshake(() => {
+                local.subscribe('/chat/room', message => {
+                    received.push(message.data);
+                    if (received.length === 5) {
+                        assert.deepStrictEqual(received, [0, 1, 2, 3, 4]);
+                        done();
+                    }
+                }, () => {
+                    const joined = new Latch(2, () => {
+                        // Wait for the subscriptions to be exchanged.
+                        setTimeout(() => {
+                            const channel = node1.server.createServerChannel('/chat/room');
+                            for (let i = 0; i < 5; ++i) {
+                                channel.publish(null, i);
+                            }
+                        }, 100);
+                    });
+                    startOort(node1, [node2.url]).addListener('joined', () => joined.signal());
+                    startOort(node2, []).addListener('joined', () => joined.signal());
+                });
+            });
+        }, {
+            // Peers are not rate limited, and send batches no larger than this limit.
+            maxMessagesPerRequest: 2,
+            publishRateLimit: {rate: 1}
+        });
+    });
+
+    it('does not forward messages in loops', function(done) {
+        this.timeout(5000);
+        startNodes(3, () => {
+            const received: any[][] = [];
+            subscribeAll('/news', received, () => {
+                const urls = _nodes.map(node => node.url);
+                // Each node joins the other two.
+                const joined = new Latch(6, () => {
+                    setTimeout(() => {
+                        _nodes[0].server.createServerChannel('/news').publish(null, 'one');
+                        _nodes[1].server.createServerChannel('/news').publish(null, 'two');
+                        setTimeout(() => {
+                            received.forEach(data => {
+                                assert.deepStrictEqual(data.slice().sort(), ['one', 'two']);
+                            });
+                            done();
+                        }, 500);
+                    }, 100);
+                });
+                // Node 2 discovers node 1 via node 0.
+                startOort(_nodes[0], [urls[1]]).addListener('joined', () => joined.signal());
+                startOort(_nodes[1], []).addListener('joined', () => joined.signal());
+                startOort(_nodes[2], [urls[0]]).addListener('joined', () => joined.signal());
+            });
+        });
+    });
+
+    // Posts Bayeux messages to the given node, keeping the browser cookie.
+    function post(node: Node, cookie: string, messages: any[], callback: (replies: any[], cookie: string) => void) {
+        const request = http.request(node.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Cookie': cookie
+            }
+        }, response => {
+            const setCookie = response.headers['set-cookie'];
+            let content = '';
+            response.on('data', chunk => {
+                content += chunk;
+            });
+            response.on('end', () => {
+                callback(JSON.parse(content), setCookie ? setCookie[0].split(';')[0] : cookie);
+            });
+        });
+        request.end(JSON.stringify(messages));
+    }
+
+    function handshake(node: Node, secret: string, callback: (reply: any, cookie: string) => void) {
+        post(node, '', [{
+            channel: '/meta/handshake',
+            version: '1.0',
+            supportedConnectionTypes: ['long-polling'],
+            ext: {oort: {url: node.url, secret: secret}}
+        }], (replies, cookie) => callback(replies[0], cookie));
+    }
+
+    it('requires a secret', done => {
+        startNodes(1, () => {
+            assert.throws(() => oortLib.createOort(_nodes[0].server, {url: _nodes[0].url} as oortLib.OortOptions));
+            assert.throws(() => startOort(_nodes[0], [], {secret: ''}));
+            done();
+        });
+    });
+
+    it('rejects peers with an empty secret', done => {
+        startNodes(1, () => {
+            startOort(_nodes[0], []);
+            handshake(_nodes[0], '', reply => {
+                assert.strictEqual(reply.successful, false);
+                done();
+            });
+        });
+    });
+
+    it('does not forward messages to meta, service or invalid channels', done => {
+        startNodes(1, () => {
+            const node = _nodes[0];
+            startOort(node, []);
+            const received: any[][] = [];
+            subscribeAll('/**', received, () => {
+                handshake(node, 'secret', (reply, cookie) => {
+                    assert.strictEqual(reply.successful, true);
+                    const forward = (channel: any, data: any) => ({
+                        channel: '/service/oort/forward',
+                        clientId: reply.clientId,
+                        data: {channel: channel, data: data, origin: 'http://localhost:1/cometd'}
+                    });
+                    post(node, cookie, [
+                        forward('/meta/disconnect', 'meta'),
+                        forward('/service/oort/interest', 'service'),
+                        forward(42, 'number'),
+                        forward('/foo/*', 'wild'),
+                        forward('/foo//bar', 'empty'),
+                        forward('/foo', 'valid')
+                    ], replies => {
+                        assert.ok(replies.every(r => r.successful));
+                        assert.deepStrictEqual(received[0], ['valid']);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('leaves peers that do not reply', done => {
+        // A fake peer that replies only to handshakes.
+        const peer = http.createServer((request, response) => {
+            let content = '';
+            request.on('data', chunk => {
+                content += chunk;
+            });
+            request.on('end', () => {
+                const message = JSON.parse(content)[0];
+                if (message.channel === '/meta/handshake') {
+                    response.setHeader('Content-Type', 'application/json');
+                    response.end(JSON.stringify([{
+                        channel: message.channel,
+                        successful: true,
+                        clientId: 'peer'
+                    }]));
+                }
+            });
+        });
+        peer.listen(0, 'localhost', () => {
+            const peerURL = 'http://localhost:' + (peer.address() as AddressInfo).port + '/cometd';
+            startNodes(1, () => {
+                const oort = startOort(_nodes[0], [peerURL], {
+                    heartbeatInterval: 10000,
+                    requestTimeout: 200
+                });
+                oort.addListener('joined', url => {
+                    assert.strictEqual(url, peerURL);
+                    oort.addListener('left', url => {
+                        assert.strictEqual(url, peerURL);
+                        oort.close();
+                        peer.closeAllConnections();
+                        peer.close();
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('rejects peers with the wrong secret', done => {
+        startNodes(2, () => {
+            const [node1, node2] = _nodes;
+            let joined = false;
+            startOort(node1, [node2.url], {secret: 'wrong'}).addListener('joined', () => {
+                joined = true;
+            });
+            startOort(node2, []);
+            setTimeout(() => {
+                assert.strictEqual(joined, false);
+                assert.deepStrictEqual(node2.oort!.peers, []);
+                done();
+            }, 500);
+        });
+    });
+});
@@ -0,0 +1,181 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import * as clientLib from 'cometd';
+import {AddressInfo} from 'net';
+
+require('cometd-nodejs-client').adapt();
+
+describe('presence', () => {
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _client: clientLib.CometD;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _http = http.createServer(_server.handle);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            _client = new clientLib.CometD();
+            _client.unregisterTransport('websocket');
+            _client.configure({
+                url: 'http://localhost:' + port + '/cometd'
+            });
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    it('publishes join and leave events', done => {
+        _server.createServerChannel('/chat/room1').presence = true;
+        const events: any[] = [];
+        const watcher = _server.newLocalSession('watcher');
+        const alice1 = _server.newLocalSession('alice1');
+        const alice2 = _server.newLocalSession('alice2');
+        _server.policy = {
+            canHandshake: (session, message, callback) => {
+                session.principal = message.ext && message.ext.user;
+                callback(undefined, true);
+            }
+        };
+        watcher.handshake(() => {
+            watcher.subscribe('/presence/chat/room1', message => {
+                events.push(message.data);
+            }, () => {
+                alice1.handshake({ext: {user: 'alice'}}, () => {
+                    alice2.handshake({ext: {user: 'alice'}}, () => {
+                        alice1.subscribe('/chat/room1', () => {
+                        }, () => {
+                            alice2.subscribe('/chat/room1', () => {
+                            }, () => {
+                                assert.deepStrictEqual(_server.getServerChannel('/chat/room1').members, ['alice']);
+                                alice1.disconnect(() => {
+                                    // The session removal leaves the channel.
+                                    alice2.session!.disconnect();
+                                    assert.deepStrictEqual(events, [
+                                        {channel: '/chat/room1', type: 'join', member: 'alice'},
+                                        {channel: '/chat/room1', type: 'leave', member: 'alice'}
+                                    ]);
+                                    assert.deepStrictEqual(_server.getServerChannel('/chat/room1').members, []);
+                                    done();
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('answers presence queries', done => {
+        _server.createServerChannel('/chat/room1').presence = true;
+        const local = _server.newLocalSession('local');
+        local.handshake(() => {
+            local.subscribe('/chat/room1', () => {
+            }, () => {
+                _client.handshake(hs => {
+                    if (hs.successful) {
+                        _client.remoteCall('/presence', {channel: '/chat/room1'}, reply => {
+                            assert.strictEqual(reply.successful, true);
+                            assert.strictEqual(reply.data.channel, '/chat/room1');
+                            // The session id is not disclosed.
+                            assert.strictEqual(reply.data.members.length, 1);
+                            assert.notStrictEqual(reply.data.members[0], local.session!.id);
+                            _client.remoteCall('/presence', {channel: '/chat/room2'}, reply => {
+                                assert.strictEqual(reply.successful, false);
+                                _client.disconnect(() => {
+                                    done();
+                                });
+                            });
+                        });
+                    }
+                });
+            });
+        });
+    });
+
+    it('does not allow presence subscriptions to sessions that cannot subscribe', done => {
+        const channel = _server.createServerChannel('/chat/room1');
+        channel.presence = true;
+        channel.addAuthorizer((operation, channelName, session, message, callback) => {
+            callback(undefined, session.local ? 'grant' : 'deny');
+        });
+        const events: any[] = [];
+        _client.handshake(hs => {
+            if (hs.successful) {
+                _client.subscribe('/presence/chat/room1', () => {
+                }, reply1 => {
+                    assert.strictEqual(reply1.successful, false);
+                    _client.subscribe('/presence/**', () => {
+                    }, reply2 => {
+                        assert.strictEqual(reply2.successful, false);
+                        _client.subscribe('/**', message => {
+                            // The client also notifies meta messages to /** subscribers.
+                            if (message.channel.indexOf('/presence/') === 0) {
+                                events.push(message);
+                            }
+                        }, reply3 => {
+                            assert.strictEqual(reply3.successful, true);
+                            const local = _server.newLocalSession('local');
+                            local.handshake(() => {
+                                local.subscribe('/chat/room1', () => {
+                                }, () => {
+                                    setTimeout(() => {
+                                        assert.deepStrictEqual(events, []);
+                                        _client.disconnect(() => {
+                                            done();
+                                        });
+                                    }, 100);
+                                });
+                            });
+                        });
+                    });
+                });
+            }
+        });
+    });
+
+    it('does not answer presence queries to sessions that cannot subscribe', done => {
+        const channel = _server.createServerChannel('/chat/room1');
+        channel.presence = true;
+        channel.addAuthorizer((operation, channelName, session, message, callback) => {
+            callback(undefined, session.local ? 'grant' : 'deny');
+        });
+        const local = _server.newLocalSession('local');
+        local.handshake(() => {
+            local.subscribe('/chat/room1', () => {
+            }, () => {
+                _client.handshake(hs => {
+                    if (hs.successful) {
+                        _client.remoteCall('/presence', {channel: '/chat/room1'}, reply => {
+                            assert.strictEqual(reply.successful, false);
+                            _client.disconnect(() => {
+                                done();
+                            });
+                        });
+                    }
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as serverLib from '..';
+
+describe('broadcast to publisher', () => {
+    const _channelName = '/chat';
+    let _server: serverLib.CometDServer;
+
+    afterEach(() => {
+        _server.close();
+    });
+
+    // Publishes from a session subscribed to the channel, along with another
+    // subscriber, and reports the messages received by each of them.
+    function publish(configure: (publisher: serverLib.LocalSession) => void, callback: (publisherMessages: number, otherMessages: number) => void) {
+        const publisher = _server.newLocalSession('publisher');
+        const other = _server.newLocalSession('other');
+        let publisherMessages = 0;
+        let otherMessages = 0;
+        publisher.handshake(() => {
+            other.handshake(() => {
+                publisher.subscribe(_channelName, () => {
+                    ++publisherMessages;
+                }, () => {
+                    other.subscribe(_channelName, () => {
+                        ++otherMessages;
+                    }, () => {
+                        configure(publisher);
+                        publisher.publish(_channelName, 'data', (failure, reply) => {
+                            assert.ifError(failure);
+                            assert.strictEqual(reply!.successful, true);
+                            callback(publisherMessages, otherMessages);
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    it('delivers to publisher by default', done => {
+        _server = serverLib.createCometDServer();
+        publish(() => {
+        }, (publisherMessages, otherMessages) => {
+            assert.strictEqual(publisherMessages, 1);
+            assert.strictEqual(otherMessages, 1);
+            done();
+        });
+    });
+
+    it('does not deliver to publisher with server option', done => {
+        _server = serverLib.createCometDServer({
+            broadcastToPublisher: false
+        });
+        publish(() => {
+        }, (publisherMessages, otherMessages) => {
+            assert.strictEqual(publisherMessages, 0);
+            assert.strictEqual(otherMessages, 1);
+            done();
+        });
+    });
+
+    it('overrides server option with channel setting', done => {
+        _server = serverLib.createCometDServer({
+            broadcastToPublisher: false
+        });
+        publish(() => {
+            _server.getServerChannel(_channelName).broadcastToPublisher = true;
+        }, (publisherMessages, otherMessages) => {
+            assert.strictEqual(publisherMessages, 1);
+            assert.strictEqual(otherMessages, 1);
+            done();
+        });
+    });
+
+    it('overrides channel setting with session setting', done => {
+        _server = serverLib.createCometDServer();
+        publish(publisher => {
+            _server.getServerChannel(_channelName).broadcastToPublisher = true;
+            publisher.session!.broadcastToPublisher = false;
+        }, (publisherMessages, otherMessages) => {
+            assert.strictEqual(publisherMessages, 0);
+            assert.strictEqual(otherMessages, 1);
+            done();
+        });
+    });
+});
@@ -0,0 +1,196 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import {AddressInfo} from 'net';
+
+describe('queue', () => {
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _uri: string;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer({
+            maxQueue: 3
+        });
+        _http = http.createServer(_server.handle);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            _uri = 'http://localhost:' + port + '/cometd';
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    function send(cookie: string | null, messages: any[], callback: (replies: any[], response: http.IncomingMessage) => void) {
+        const headers: any = {};
+        if (cookie) {
+            headers.Cookie = cookie;
+        }
+        http.request(_uri, {method: 'POST', headers: headers}, response => {
+            let json = '';
+            response.on('data', chunk => {
+                json += chunk;
+            });
+            response.on('end', () => {
+                callback(JSON.parse(json), response);
+            });
+        }).end(JSON.stringify(messages));
+    }
+
+    function handshake(callback: (session: serverLib.ServerSession, cookie: string) => void) {
+        send(null, [{
+            channel: '/meta/handshake',
+            version: '1.0',
+            supportedConnectionTypes: ['long-polling']
+        }], (replies, response) => {
+            const cookie = (response.headers['set-cookie'] || [])[0].split(';')[0];
+            callback(_server.getServerSession(replies[0].clientId), cookie);
+        });
+    }
+
+    function connect(session: serverLib.ServerSession, cookie: string, callback: (messages: any[]) => void) {
+        send(cookie, [{
+            channel: '/meta/connect',
+            clientId: session.id,
+            connectionType: 'long-polling',
+            advice: {
+                timeout: 0
+            }
+        }], replies => {
+            callback(replies.filter(m => m.channel === '/queue').map(m => m.data));
+        });
+    }
+
+    it('drops newest messages by default', done => {
+        handshake((session, cookie) => {
+            const maxed: any[] = [];
+            session.addListener('queueMaxed', (s: serverLib.ServerSession, message: any) => {
+                maxed.push(message.data);
+            });
+            const results: boolean[] = [];
+            for (let i = 0; i < 5; ++i) {
+                session.deliver(null, '/queue', i, (failure, result) => {
+                    results.push(result!);
+                });
+            }
+            assert.deepStrictEqual(results, [true, true, true, false, false]);
+            assert.deepStrictEqual(maxed, [3, 4]);
+            connect(session, cookie, data => {
+                assert.deepStrictEqual(data, [0, 1, 2]);
+                done();
+            });
+        });
+    });
+
+    it('drops oldest messages', done => {
+        _server.options.maxQueuePolicy = 'drop-oldest';
+        handshake((session, cookie) => {
+            const maxed: any[] = [];
+            _server.addListener('queueMaxed', (s: serverLib.ServerSession, message: any) => {
+                assert.strictEqual(s, session);
+                maxed.push(message.data);
+            });
+            for (let i = 0; i < 5; ++i) {
+                session.deliver(null, '/queue', i);
+            }
+            assert.deepStrictEqual(maxed, [0, 1]);
+            connect(session, cookie, data => {
+                assert.deepStrictEqual(data, [2, 3, 4]);
+                done();
+            });
+        });
+    });
+
+    it('disconnects session', done => {
+        _server.options.maxQueuePolicy = 'disconnect';
+        handshake(session => {
+            session.addListener('removed', (s: serverLib.ServerSession, timeout: boolean) => {
+                assert.strictEqual(timeout, false);
+                assert.strictEqual(_server.getServerSession(session.id), undefined);
+                done();
+            });
+            for (let i = 0; i < 4; ++i) {
+                session.deliver(null, '/queue', i);
+            }
+        });
+    });
+
+    it('rejects invalid policy', () => {
+        assert.throws(() => serverLib.createCometDServer({
+            maxQueuePolicy: 'drop-all' as any
+        }));
+    });
+
+    it('invokes application policy', done => {
+        _server.options.maxQueuePolicy = (session, queue, sender, message) => {
+            // Make room, but do not queue message 4.
+            queue.shift();
+            return message.data !== 4;
+        };
+        handshake((session, cookie) => {
+            for (let i = 0; i < 6; ++i) {
+                session.deliver(null, '/queue', i);
+            }
+            connect(session, cookie, data => {
+                assert.deepStrictEqual(data, [2, 3, 5]);
+                done();
+            });
+        });
+    });
+
+    it('does not exceed maxQueue with application policy', done => {
+        // Queues the message without making room.
+        _server.options.maxQueuePolicy = () => true;
+        handshake((session, cookie) => {
+            const results: boolean[] = [];
+            for (let i = 0; i < 5; ++i) {
+                session.deliver(null, '/queue', i, (failure, result) => {
+                    results.push(result!);
+                });
+            }
+            assert.deepStrictEqual(results, [true, true, true, false, false]);
+            assert.strictEqual(session.queueLength, 3);
+            connect(session, cookie, data => {
+                assert.deepStrictEqual(data, [0, 1, 2]);
+                done();
+            });
+        });
+    });
+
+    it('drops new messages with drop-oldest and an empty queue', done => {
+        _server.options.maxQueue = 0;
+        _server.options.maxQueuePolicy = 'drop-oldest';
+        handshake(session => {
+            const maxed: any[] = [];
+            _server.addListener('queueMaxed', (s: serverLib.ServerSession, message: any) => {
+                maxed.push(message.data);
+            });
+            session.deliver(null, '/queue', 0, (failure, result) => {
+                assert.strictEqual(result, false);
+                assert.deepStrictEqual(maxed, [0]);
+                assert.strictEqual(session.queueLength, 0);
+                done();
+            });
+        });
+    });
+});
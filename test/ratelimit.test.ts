@@ -0,0 +1,135 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as serverLib from '..';
+
+describe('rate limit', () => {
+    let _server: serverLib.CometDServer;
+
+    afterEach(() => {
+        _server.close();
+    });
+
+    // Publishes the given channels in sequence, and reports the replies.
+    function publish(local: serverLib.LocalSession, channels: string[], callback: (replies: serverLib.ServerMessage[]) => void) {
+        const replies: serverLib.ServerMessage[] = [];
+        const next = () => {
+            if (replies.length === channels.length) {
+                callback(replies);
+            } else {
+                local.publish(channels[replies.length], 'data', (failure, reply) => {
+                    assert.ifError(failure);
+                    replies.push(reply!);
+                    next();
+                });
+            }
+        };
+        next();
+    }
+
+    it('limits publishes to wildcard channel', done => {
+        _server = serverLib.createCometDServer();
+        _server.createServerChannel('/chat/**').publishRateLimit = {rate: 1, burst: 2};
+        const events: any[] = [];
+        _server.addListener('rateLimited', (session: serverLib.ServerSession, channel: serverLib.ServerChannel, message: serverLib.ServerMessage, wait: number) => {
+            events.push({session, channel, wait});
+        });
+        const local = _server.newLocalSession('test');
+        local.handshake(() => {
+            publish(local, ['/chat/a', '/chat/b', '/chat/a', '/other'], replies => {
+                assert.deepStrictEqual(replies.map(r => r.successful), [true, true, false, true]);
+                assert.strictEqual(replies[2].error, '429::rate_limited');
+                assert.strictEqual(replies[2].advice, undefined);
+                assert.strictEqual(events.length, 1);
+                assert.strictEqual(events[0].session, local.session);
+                assert.strictEqual(events[0].channel.name, '/chat/a');
+                assert.ok(events[0].wait > 0);
+                done();
+            });
+        });
+    });
+
+    it('limits publishes per session', done => {
+        _server = serverLib.createCometDServer({
+            publishRateLimit: {rate: 1},
+            rateLimitAdvice: true
+        });
+        const local1 = _server.newLocalSession('limited');
+        const local2 = _server.newLocalSession('unlimited');
+        local1.handshake(() => {
+            local2.handshake(() => {
+                local2.session!.publishRateLimit = null;
+                publish(local1, ['/foo', '/bar'], replies1 => {
+                    assert.deepStrictEqual(replies1.map(r => r.successful), [true, false]);
+                    assert.ok(replies1[1].advice.interval > 0);
+                    publish(local2, ['/foo', '/bar'], replies2 => {
+                        assert.deepStrictEqual(replies2.map(r => r.successful), [true, true]);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('does not consume tokens for denied publishes', done => {
+        _server = serverLib.createCometDServer({
+            publishRateLimit: {rate: 1}
+        });
+        _server.createServerChannel('/denied').addAuthorizer((operation, channelName, session, message, callback) => {
+            callback(undefined, 'deny');
+        });
+        const local = _server.newLocalSession('test');
+        local.handshake(() => {
+            publish(local, ['/denied', '/denied', '/foo'], replies => {
+                assert.deepStrictEqual(replies.map(r => r.error), ['403::publish_denied', '403::publish_denied', undefined]);
+                assert.strictEqual(replies[2].successful, true);
+                done();
+            });
+        });
+    });
+
+    it('rejects non-positive rates', done => {
+        assert.throws(() => serverLib.createCometDServer({publishRateLimit: {rate: 0}}));
+        _server = serverLib.createCometDServer();
+        const channel = _server.createServerChannel('/foo');
+        assert.throws(() => channel.publishRateLimit = {rate: 0});
+        assert.throws(() => channel.publishRateLimit = {rate: -1});
+        assert.strictEqual(channel.publishRateLimit, null);
+        const local = _server.newLocalSession('test');
+        local.handshake(() => {
+            assert.throws(() => local.session!.publishRateLimit = {rate: 0});
+            local.session!.publishRateLimit = null;
+            done();
+        });
+    });
+
+    it('refills tokens over time', done => {
+        _server = serverLib.createCometDServer();
+        _server.createServerChannel('/foo').publishRateLimit = {rate: 20, burst: 1};
+        const local = _server.newLocalSession('test');
+        local.handshake(() => {
+            publish(local, ['/foo', '/foo'], replies1 => {
+                assert.deepStrictEqual(replies1.map(r => r.successful), [true, false]);
+                setTimeout(() => {
+                    publish(local, ['/foo'], replies2 => {
+                        assert.strictEqual(replies2[0].successful, true);
+                        done();
+                    });
+                }, 100);
+            });
+        });
+    });
+});
@@ -0,0 +1,131 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import * as clientLib from 'cometd';
+import {AddressInfo} from 'net';
+
+require('cometd-nodejs-client').adapt();
+
+describe('receipt', () => {
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _client: clientLib.CometD;
+    let _port: number;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _http = http.createServer(_server.handle);
+        _http.listen(0, 'localhost', () => {
+            _port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + _port);
+            _client = new clientLib.CometD();
+            _client.unregisterTransport('websocket');
+            _client.configure({
+                url: 'http://localhost:' + _port + '/cometd'
+            });
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    it('notifies receipt when message is written to the response', done => {
+        let received = false;
+        _client.addListener('/service/bill', msg => {
+            assert.strictEqual(msg.data, 'invoice');
+            received = true;
+        });
+        let connects = 0;
+        _client.addListener('/meta/connect', () => {
+            if (++connects !== 1) {
+                return;
+            }
+            const session = _server.getServerSession(_client.getClientId()!);
+            session.deliver(null, '/service/bill', 'invoice', (failure, result) => {
+                assert.ifError(failure);
+                assert.strictEqual(result, true);
+            }, (failure, s) => {
+                assert.ifError(failure);
+                assert.strictEqual(s, session);
+                // Wait for the client to process the response.
+                setTimeout(() => {
+                    assert.strictEqual(received, true);
+                    _client.disconnect(() => {
+                        done();
+                    });
+                }, 100);
+            });
+        });
+        _client.handshake();
+    });
+
+    it('notifies receipt for each subscriber of a publish', done => {
+        const local1 = _server.newLocalSession('one');
+        const local2 = _server.newLocalSession('two');
+        local1.handshake(() => {
+            local2.handshake(() => {
+                local1.subscribe('/foo', () => {
+                }, () => {
+                    local2.subscribe('/foo', () => {
+                    }, () => {
+                        const sessions: serverLib.ServerSession[] = [];
+                        _server.getServerChannel('/foo').publish(null, 'data', () => {
+                            assert.deepStrictEqual(sessions, [local1.session, local2.session]);
+                            done();
+                        }, (failure, session) => {
+                            assert.ifError(failure);
+                            sessions.push(session);
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('fails receipt when session is removed with message queued', done => {
+        http.request({
+            host: 'localhost',
+            port: _port,
+            path: '/cometd',
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'}
+        }, response => {
+            let json = '';
+            response.on('data', chunk => {
+                json += chunk;
+            });
+            response.on('end', () => {
+                const session = _server.getServerSession(JSON.parse(json)[0].clientId);
+                // Without a /meta/connect, the message stays in the queue.
+                session.deliver(null, '/service/bill', 'invoice', undefined, failure => {
+                    assert.ok(failure);
+                    done();
+                });
+                assert.strictEqual(session.queueLength, 1);
+                session.disconnect();
+            });
+        }).end(JSON.stringify([{
+            channel: '/meta/handshake',
+            version: '1.0',
+            supportedConnectionTypes: ['long-polling']
+        }]));
+    });
+});
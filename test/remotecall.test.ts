@@ -0,0 +1,116 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import * as clientLib from 'cometd';
+import {AddressInfo} from 'net';
+
+require('cometd-nodejs-client').adapt();
+
+describe('remote call', () => {
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _client: clientLib.CometD;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _http = http.createServer(_server.handle);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            _client = new clientLib.CometD();
+            _client.unregisterTransport('websocket');
+            _client.configure({
+                url: 'http://localhost:' + port + '/cometd'
+            });
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    it('replies to remote call with result', done => {
+        _server.addRemoteCall('/service/users/find', (session, data, caller) => {
+            assert.strictEqual(caller.session, session);
+            assert.strictEqual(caller.result({name: data.name, id: 1}), true);
+            assert.strictEqual(caller.failure('ignored'), false);
+        });
+        _client.handshake(hs => {
+            if (hs.successful) {
+                _client.remoteCall('/users/find', {name: 'alice'}, reply => {
+                    assert.strictEqual(reply.successful, true);
+                    assert.deepStrictEqual(reply.data, {name: 'alice', id: 1});
+                    _client.disconnect(() => {
+                        done();
+                    });
+                });
+            }
+        });
+    });
+
+    it('replies to remote call with rejected promise', done => {
+        _server.addRemoteCall('/service/users/load', () => Promise.reject(new Error('not found')));
+        _client.handshake(hs => {
+            if (hs.successful) {
+                _client.remoteCall('/users/load', {id: 2}, reply => {
+                    assert.strictEqual(reply.successful, false);
+                    assert.strictEqual(reply.data, 'not found');
+                    _client.disconnect(() => {
+                        done();
+                    });
+                });
+            }
+        });
+    });
+
+    it('fails remote call on server timeout', done => {
+        let late = true;
+        _server.addRemoteCall('/service/slow', (session, data, caller) => {
+            setTimeout(() => {
+                late = caller.result('late');
+            }, 500);
+        }, 100);
+        _client.handshake(hs => {
+            if (hs.successful) {
+                _client.remoteCall('/slow', {}, 5000, reply => {
+                    assert.strictEqual(reply.successful, false);
+                    assert.strictEqual(reply.error, '406::timeout');
+                    setTimeout(() => {
+                        assert.strictEqual(late, false);
+                        _client.disconnect(() => {
+                            done();
+                        });
+                    }, 500);
+                });
+            }
+        });
+    });
+
+    it('removes remote call', () => {
+        assert.throws(() => _server.addRemoteCall('/users/find', () => {
+        }));
+        _server.addRemoteCall('/service/echo', (session, data, caller) => {
+            caller.result(data);
+        });
+        assert.strictEqual(_server.removeRemoteCall('/service/echo'), true);
+        assert.strictEqual(_server.removeRemoteCall('/service/echo'), false);
+        assert.deepStrictEqual(_server.getServerChannel('/service/echo').listeners('message'), []);
+    });
+});
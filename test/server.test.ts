@@ -17,6 +17,7 @@ import * as assert from 'assert';
 import * as http from 'http';
 import * as serverLib from '..';
 import * as url from 'url';
+import * as zlib from 'zlib';
 import {Latch} from './latch';
 import {AddressInfo} from 'net';
 
@@ -970,4 +971,181 @@ describe('server', () => {
             '"supportedConnectionTypes": ["long-polling"]' +
             '}]');
     });
+
+    it('rejects request larger than maxRequestBytes', done => {
+        _server.options.maxRequestBytes = 64;
+        let rejected = false;
+        _server.addListener('rejected', (reason: string) => {
+            assert.strictEqual(reason, 'maxRequestBytes');
+            rejected = true;
+        });
+        http.request(newRequest(), response => {
+            assert.strictEqual(response.statusCode, 413);
+            assert.strictEqual(rejected, true);
+            done();
+        }).on('error', () => {
+            // The server may close the connection before the content is fully sent.
+        }).end('[{' +
+            '"channel": "/meta/handshake",' +
+            '"version": "1.0",' +
+            '"supportedConnectionTypes": ["long-polling"],' +
+            '"ext": {"padding": "' + 'x'.repeat(1024) + '"}' +
+            '}]');
+    });
+
+    it('rejects request with more than maxMessagesPerRequest', done => {
+        _server.options.maxMessagesPerRequest = 2;
+        http.request(newRequest(), response => {
+            assert.strictEqual(response.statusCode, 413);
+            done();
+        }).end(JSON.stringify([
+            {channel: '/foo', clientId: 'a'},
+            {channel: '/foo', clientId: 'a'},
+            {channel: '/foo', clientId: 'a'}
+        ]));
+    });
+
+    it('replies error to message larger than maxMessageBytes', done => {
+        _server.options.maxMessageBytes = 256;
+        http.request(newRequest(), r1 => {
+            receiveResponse(r1, replies1 => {
+                const reply1 = replies1[0];
+                assert.strictEqual(reply1.successful, true);
+                const sessionId = reply1.clientId;
+                const cookie = extractBrowserCookie(r1);
+                _server.addListener('rejected', (reason: string, request: any, session: serverLib.ServerSession, message: any) => {
+                    assert.strictEqual(reason, 'maxMessageBytes');
+                    assert.strictEqual(session.id, sessionId);
+                    assert.strictEqual(message.channel, '/bar');
+                });
+                const publish = newRequest({
+                    Cookie: 'BAYEUX_BROWSER=' + cookie
+                });
+                http.request(publish, r2 => {
+                    receiveResponse(r2, replies2 => {
+                        assert.strictEqual(replies2.length, 2);
+                        const reply2 = replies2[0];
+                        assert.strictEqual(reply2.channel, '/foo');
+                        assert.strictEqual(reply2.successful, true);
+                        const reply3 = replies2[1];
+                        assert.strictEqual(reply3.channel, '/bar');
+                        assert.strictEqual(reply3.successful, false);
+                        assert.strictEqual(reply3.error, '400::message_too_large');
+                        done();
+                    });
+                }).end(JSON.stringify([{
+                    channel: '/foo',
+                    clientId: sessionId,
+                    data: 'small'
+                }, {
+                    channel: '/bar',
+                    clientId: sessionId,
+                    data: 'x'.repeat(1024)
+                }]));
+            });
+        }).end('[{' +
+            '"channel": "/meta/handshake",' +
+            '"version": "1.0",' +
+            '"supportedConnectionTypes": ["long-polling"]' +
+            '}]');
+    });
+
+    it('compresses response when client accepts encoding', done => {
+        _server.options.compression = true;
+        _server.options.compressionThreshold = 0;
+        http.request(newRequest({
+            'Accept-Encoding': 'deflate, gzip;q=0.5, br;q=0'
+        }), response => {
+            assert.strictEqual(response.statusCode, 200);
+            assert.strictEqual(response.headers['content-encoding'], 'gzip');
+            const chunks: Buffer[] = [];
+            response.on('data', chunk => {
+                chunks.push(chunk);
+            });
+            response.on('end', () => {
+                const replies = JSON.parse(zlib.gunzipSync(Buffer.concat(chunks)).toString('utf8'));
+                assert.strictEqual(replies[0].successful, true);
+                done();
+            });
+        }).end('[{' +
+            '"channel": "/meta/handshake",' +
+            '"version": "1.0",' +
+            '"supportedConnectionTypes": ["long-polling"]' +
+            '}]');
+    });
+
+    it('does not compress response smaller than compressionThreshold', done => {
+        _server.options.compression = true;
+        http.request(newRequest({
+            'Accept-Encoding': 'gzip'
+        }), response => {
+            assert.strictEqual(response.headers['content-encoding'], undefined);
+            receiveResponse(response, replies => {
+                assert.strictEqual(replies[0].successful, true);
+                done();
+            });
+        }).end('[{' +
+            '"channel": "/meta/handshake",' +
+            '"version": "1.0",' +
+            '"supportedConnectionTypes": ["long-polling"]' +
+            '}]');
+    });
+
+    function handshakeAndConnect(connectExt: (handshake: any) => any, callback: (handshake: any, connect: any) => void) {
+        http.request(newRequest(), r1 => {
+            receiveResponse(r1, replies1 => {
+                const reply1 = replies1[0];
+                assert.strictEqual(reply1.successful, true);
+                // Do not send the browser cookie.
+                http.request(newRequest(), r2 => {
+                    receiveResponse(r2, replies2 => {
+                        callback(reply1, replies2[0]);
+                    });
+                }).end(JSON.stringify([{
+                    channel: '/meta/connect',
+                    clientId: reply1.clientId,
+                    connectionType: 'long-polling',
+                    advice: {
+                        timeout: 0
+                    },
+                    ext: connectExt(reply1)
+                }]));
+            });
+        }).end('[{' +
+            '"channel": "/meta/handshake",' +
+            '"version": "1.0",' +
+            '"supportedConnectionTypes": ["long-polling"]' +
+            '}]');
+    }
+
+    it('does not find session without browser cookie', done => {
+        handshakeAndConnect(() => undefined, (handshake, connect) => {
+            assert.strictEqual(connect.successful, false);
+            assert.ok(/^402::/.test(connect.error));
+            done();
+        });
+    });
+
+    it('finds session without browser cookie with trustClientSession', done => {
+        _server.options.trustClientSession = true;
+        _server.options.clientSessionBinding = 'address';
+        handshakeAndConnect(() => undefined, (handshake, connect) => {
+            assert.strictEqual(connect.successful, true);
+            done();
+        });
+    });
+
+    it('binds cookie-less session to handshake token', done => {
+        _server.options.trustClientSession = true;
+        _server.options.clientSessionBinding = ['token'];
+        handshakeAndConnect(() => ({sessionToken: 'wrong'}), (handshake1, connect1) => {
+            assert.ok(handshake1.ext.sessionToken);
+            assert.strictEqual(connect1.successful, false);
+            assert.ok(/^402::/.test(connect1.error));
+            handshakeAndConnect(handshake => ({sessionToken: handshake.ext.sessionToken}), (handshake2, connect2) => {
+                assert.strictEqual(connect2.successful, true);
+                done();
+            });
+        });
+    });
 });
@@ -0,0 +1,106 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import * as clientLib from 'cometd';
+import {AddressInfo} from 'net';
+
+require('cometd-nodejs-client').adapt();
+
+describe('sessions', () => {
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _client: clientLib.CometD;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _http = http.createServer(_server.handle);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            _client = new clientLib.CometD();
+            _client.unregisterTransport('websocket');
+            _client.configure({
+                url: 'http://localhost:' + port + '/cometd'
+            });
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    it('lists sessions with metadata', done => {
+        assert.strictEqual(_server.sessionCount, 0);
+        assert.deepStrictEqual(_server.getServerSessions(), []);
+        const start = Date.now();
+        let connects = 0;
+        _client.addListener('/meta/connect', () => {
+            if (++connects !== 1) {
+                return;
+            }
+            _client.subscribe('/foo', () => {
+            }, ss => {
+                if (ss.successful) {
+                    assert.strictEqual(_server.sessionCount, 1);
+                    const sessions = _server.getServerSessions();
+                    assert.strictEqual(sessions.length, 1);
+                    const session = sessions[0];
+                    assert.strictEqual(session.id, _client.getClientId());
+                    assert.ok(session.browserId);
+                    assert.ok(session.handshakeTime >= start);
+                    assert.ok(session.lastConnectTime >= session.handshakeTime);
+                    assert.strictEqual(session.queueLength, 0);
+                    assert.deepStrictEqual(session.subscriptions.map(c => c.name), ['/foo']);
+                    _client.disconnect(() => {
+                        assert.strictEqual(_server.sessionCount, 0);
+                        done();
+                    });
+                }
+            });
+        });
+        _client.handshake();
+    });
+
+    it('finds sessions by query', done => {
+        _client.handshake(hs => {
+            if (hs.successful) {
+                _client.subscribe('/bar', () => {
+                }, ss => {
+                    if (ss.successful) {
+                        const session = _server.getServerSession(hs.clientId!);
+                        session.setAttribute('role', 'admin');
+                        const local = _server.newLocalSession('test');
+                        local.handshake(() => {
+                            assert.deepStrictEqual(_server.findServerSessions({subscription: '/bar'}), [session]);
+                            assert.deepStrictEqual(_server.findServerSessions({browserId: session.browserId!}), [session]);
+                            assert.deepStrictEqual(_server.findServerSessions({attributes: {role: 'admin'}}), [session]);
+                            assert.deepStrictEqual(_server.findServerSessions({attributes: {role: 'user'}}), []);
+                            assert.deepStrictEqual(_server.findServerSessions(s => s.local), [local.session]);
+                            assert.strictEqual(_server.findServerSessions({}).length, 2);
+                            _client.disconnect(() => {
+                                done();
+                            });
+                        });
+                    }
+                });
+            }
+        });
+    });
+});
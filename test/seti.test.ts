@@ -0,0 +1,174 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import * as oortLib from '../oort';
+import * as setiLib from '../seti';
+import * as clientLib from 'cometd';
+import {Latch} from './latch';
+import {AddressInfo} from 'net';
+
+require('cometd-nodejs-client').adapt();
+
+describe('seti', () => {
+    let _server: serverLib.CometDServer;
+    let _seti: setiLib.Seti;
+
+    afterEach(() => {
+        _seti.close();
+        _server.close();
+    });
+
+    // Handshakes a local session that collects the data of the messages it receives on /user.
+    function newLocalSession(server: serverLib.CometDServer, received: any[], callback: (local: serverLib.LocalSession) => void) {
+        const local = server.newLocalSession('user');
+        local.handshake(() => {
+            local.subscribe('/user', message => {
+                received.push(message.data);
+            }, () => {
+                callback(local);
+            });
+        });
+    }
+
+    it('sends to all the sessions of a user', done => {
+        _server = serverLib.createCometDServer();
+        _seti = setiLib.createSeti(_server);
+        const tab1: any[] = [];
+        const tab2: any[] = [];
+        newLocalSession(_server, tab1, local1 => {
+            newLocalSession(_server, tab2, local2 => {
+                assert.strictEqual(_seti.associate('42', local1.session!), true);
+                assert.strictEqual(_seti.associate('42', local1.session!), false);
+                assert.strictEqual(_seti.associate('42', local2.session!), true);
+                assert.deepStrictEqual(_seti.userIds, ['42']);
+                assert.strictEqual(_seti.sendToUser('42', '/user', 'hello'), true);
+                assert.strictEqual(_seti.sendToUser('43', '/user', 'nobody'), false);
+                assert.strictEqual(_seti.disassociate('42', local1.session!), true);
+                _seti.sendToUser('42', '/user', 'again');
+                assert.deepStrictEqual(tab1, ['hello']);
+                assert.deepStrictEqual(tab2, ['hello', 'again']);
+                done();
+            });
+        });
+    });
+
+    it('removes associations when sessions are removed', done => {
+        _server = serverLib.createCometDServer();
+        _seti = setiLib.createSeti(_server);
+        newLocalSession(_server, [], local => {
+            const session = local.session!;
+            _seti.associate('42', session);
+            _seti.associate('admin', session);
+            local.disconnect(() => {
+                assert.deepStrictEqual(_seti.userIds, []);
+                assert.deepStrictEqual(_seti.getAssociatedSessions('42'), []);
+                done();
+            });
+        });
+    });
+
+    it('does not associate removed sessions', done => {
+        _server = serverLib.createCometDServer();
+        _seti = setiLib.createSeti(_server);
+        newLocalSession(_server, [], local => {
+            const session = local.session!;
+            local.disconnect(() => {
+                assert.strictEqual(_seti.associate('42', session), false);
+                assert.deepStrictEqual(_seti.userIds, []);
+                assert.deepStrictEqual(_seti.getAssociatedSessions('42'), []);
+                done();
+            });
+        });
+    });
+
+    describe('peer', () => {
+        let _server2: serverLib.CometDServer;
+        let _seti2: setiLib.Seti;
+        let _http1: http.Server;
+        let _http2: http.Server;
+        let _oort1: oortLib.Oort;
+        let _oort2: oortLib.Oort;
+
+        beforeEach(done => {
+            _server = serverLib.createCometDServer();
+            _server2 = serverLib.createCometDServer();
+            _http1 = http.createServer(_server.handle);
+            _http2 = http.createServer(_server2.handle);
+            const listening = new Latch(2, () => {
+                const url = (h: http.Server) => 'http://localhost:' + (h.address() as AddressInfo).port + '/cometd';
+                _oort1 = oortLib.createOort(_server, {url: url(_http1), peers: [url(_http2)], secret: 'secret'});
+                _oort2 = oortLib.createOort(_server2, {url: url(_http2), secret: 'secret'});
+                _seti = setiLib.createSeti(_server, {backend: setiLib.createPeerBackend(_oort1)});
+                _seti2 = setiLib.createSeti(_server2, {backend: setiLib.createPeerBackend(_oort2)});
+                const joined = new Latch(2, () => {
+                    // Wait for the subscriptions to be exchanged.
+                    setTimeout(done, 100);
+                });
+                _oort1.addListener('joined', () => joined.signal());
+                _oort2.addListener('joined', () => joined.signal());
+            });
+            _http1.listen(0, 'localhost', () => listening.signal());
+            _http2.listen(0, 'localhost', () => listening.signal());
+        });
+
+        afterEach(() => {
+            _seti2.close();
+            _oort1.close();
+            _oort2.close();
+            _http1.close();
+            _http2.close();
+            _server2.close();
+        });
+
+        it('sends to users connected to peers', done => {
+            const received1: any[] = [];
+            const received2: any[] = [];
+            newLocalSession(_server, received1, local1 => {
+                newLocalSession(_server2, received2, local2 => {
+                    _seti.associate('42', local1.session!);
+                    _seti2.associate('42', local2.session!);
+                    assert.strictEqual(_seti2.sendToUser('42', '/user', 'hello'), true);
+                    setTimeout(() => {
+                        assert.deepStrictEqual(received1, ['hello']);
+                        assert.deepStrictEqual(received2, ['hello']);
+                        done();
+                    }, 300);
+                });
+            });
+        });
+
+        it('does not allow remote sessions on the seti channel', done => {
+            const client = new clientLib.CometD();
+            client.unregisterTransport('websocket');
+            client.configure({
+                url: 'http://localhost:' + (_http1.address() as AddressInfo).port + '/cometd'
+            });
+            client.handshake(hs => {
+                if (hs.successful) {
+                    client.subscribe('/seti/all', () => {
+                    }, reply => {
+                        assert.strictEqual(reply.successful, false);
+                        client.disconnect(() => {
+                            done();
+                        });
+                    });
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,197 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import {AddressInfo} from 'net';
+
+describe('sse', () => {
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _uri: string;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _http = http.createServer(_server.handle);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            _uri = 'http://localhost:' + port + '/cometd';
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    function handshake(callback: (clientId: string, cookie: string) => void) {
+        const request = http.request(_uri, {method: 'POST'}, response => {
+            let json = '';
+            response.on('data', chunk => {
+                json += chunk;
+            });
+            response.on('end', () => {
+                const reply = JSON.parse(json)[0];
+                assert.strictEqual(reply.successful, true);
+                assert.ok(reply.supportedConnectionTypes.indexOf('sse') >= 0);
+                const cookie = (response.headers['set-cookie'] || [])[0].split(';')[0];
+                callback(reply.clientId, cookie);
+            });
+        });
+        request.end(JSON.stringify([{
+            channel: '/meta/handshake',
+            version: '1.0',
+            supportedConnectionTypes: ['sse']
+        }]));
+    }
+
+    function post(cookie: string, messages: any[], callback: (replies: any[]) => void) {
+        const request = http.request(_uri, {
+            method: 'POST',
+            headers: {
+                'Cookie': cookie
+            }
+        }, response => {
+            let json = '';
+            response.on('data', chunk => {
+                json += chunk;
+            });
+            response.on('end', () => {
+                callback(JSON.parse(json));
+            });
+        });
+        request.end(JSON.stringify(messages));
+    }
+
+    function openStream(clientId: string, cookie: string, onEvent: (messages: any[]) => void, callback?: (response: http.IncomingMessage, request: http.ClientRequest) => void) {
+        const request = http.get(_uri + '?clientId=' + clientId, {
+            headers: {
+                'Accept': 'text/event-stream',
+                'Cookie': cookie
+            }
+        }, response => {
+            assert.strictEqual(response.statusCode, 200);
+            assert.ok(/^text\/event-stream/.test(response.headers['content-type'] || ''));
+            let content = '';
+            response.on('data', chunk => {
+                content += chunk;
+                let index;
+                while ((index = content.indexOf('\n\n')) >= 0) {
+                    const event = content.substring(0, index);
+                    content = content.substring(index + 2);
+                    if (event.startsWith('data: ')) {
+                        onEvent(JSON.parse(event.substring('data: '.length)));
+                    }
+                }
+            });
+            if (callback) {
+                callback(response, request);
+            }
+        });
+    }
+
+    it('yields unknown session on stream without handshake', done => {
+        openStream('foo', '', messages => {
+            assert.strictEqual(messages.length, 1);
+            const reply = messages[0];
+            assert.strictEqual(reply.successful, false);
+            assert.ok(/^402::/.test(reply.error));
+            assert.strictEqual(reply.advice.reconnect, 'handshake');
+            done();
+        });
+    });
+
+    it('streams messages as soon as they are delivered', done => {
+        handshake((clientId, cookie) => {
+            const session = _server.getServerSession(clientId);
+            let events = 0;
+            openStream(clientId, cookie, messages => {
+                assert.strictEqual(messages.length, 1);
+                assert.strictEqual(messages[0].data, events);
+                if (++events === 2) {
+                    done();
+                } else {
+                    session.deliver(null, '/sse', events);
+                }
+            }, () => {
+                session.deliver(null, '/sse', events);
+            });
+        });
+    });
+
+    it('sends queued messages when the stream opens', done => {
+        handshake((clientId, cookie) => {
+            _server.getServerSession(clientId).deliver(null, '/sse', 'queued');
+            openStream(clientId, cookie, messages => {
+                assert.strictEqual(messages[0].data, 'queued');
+                done();
+            });
+        });
+    });
+
+    it('does not send queued messages in replies while the stream is open', done => {
+        handshake((clientId, cookie) => {
+            post(cookie, [{
+                channel: '/meta/subscribe',
+                clientId: clientId,
+                subscription: '/sse'
+            }], replies => {
+                assert.strictEqual(replies[0].successful, true);
+                openStream(clientId, cookie, messages => {
+                    assert.strictEqual(messages.length, 1);
+                    assert.strictEqual(messages[0].data, 'streamed');
+                    done();
+                }, () => {
+                    post(cookie, [{
+                        channel: '/sse',
+                        clientId: clientId,
+                        data: 'streamed'
+                    }], replies => {
+                        assert.strictEqual(replies.length, 1);
+                        assert.strictEqual(replies[0].successful, true);
+                        assert.strictEqual(replies[0].data, undefined);
+                    });
+                });
+            });
+        });
+    });
+
+    it('expires session after stream is closed', function(done) {
+        const maxInterval = 1000;
+        _server.options.sweepPeriod = 200;
+        _server.options.maxInterval = maxInterval;
+        this.timeout(4 * maxInterval);
+
+        handshake((clientId, cookie) => {
+            const session = _server.getServerSession(clientId);
+            let closed = 0;
+            session.addListener('removed', (s: serverLib.ServerSession, timeout: boolean) => {
+                assert.strictEqual(timeout, true);
+                assert.ok(Date.now() - closed >= maxInterval);
+                done();
+            });
+            openStream(clientId, cookie, () => undefined, (response, request) => {
+                // Wait longer than maxInterval, the stream keeps the session alive.
+                setTimeout(() => {
+                    closed = Date.now();
+                    request.destroy();
+                }, maxInterval * 1.5);
+            });
+        });
+    });
+});
@@ -0,0 +1,265 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as os from 'os';
+import * as path from 'path';
+import * as serverLib from '..';
+import {Latch} from './latch';
+import {AddressInfo} from 'net';
+
+describe('session store', () => {
+    let _dir: string;
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+
+    beforeEach(() => {
+        _dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cometd-'));
+    });
+
+    afterEach(() => {
+        if (_http) {
+            _http.close();
+        }
+        if (_server) {
+            _server.close();
+        }
+        fs.rmSync(_dir, {recursive: true, force: true});
+    });
+
+    function start(options: serverLib.Options, callback: (port: number) => void) {
+        _server = serverLib.createCometDServer(options);
+        _http = http.createServer(_server.handle);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            callback(port);
+        });
+    }
+
+    function send(port: number, cookie: string | null, messages: any[], callback: (replies: any[], cookie: string) => void) {
+        const headers: any = {'Content-Type': 'application/json'};
+        if (cookie) {
+            headers['Cookie'] = 'BAYEUX_BROWSER=' + cookie;
+        }
+        http.request({
+            host: 'localhost',
+            port: port,
+            path: '/cometd',
+            method: 'POST',
+            headers: headers
+        }, response => {
+            assert.strictEqual(response.statusCode, 200);
+            let json = '';
+            response.on('data', chunk => {
+                json += chunk;
+            });
+            response.on('end', () => {
+                const setCookie = (response.headers['set-cookie'] || [])[0];
+                callback(JSON.parse(json), setCookie ? setCookie.split(';')[0].split('=')[1] : cookie!);
+            });
+        }).end(JSON.stringify(messages));
+    }
+
+    it('resumes sessions after restart', done => {
+        const store = serverLib.createFileSessionStore(path.join(_dir, 'sessions.json'));
+        const options = {
+            sessionStore: store,
+            sessionStorePeriod: 60000
+        };
+        start(options, port1 => {
+            send(port1, null, [{
+                channel: '/meta/handshake',
+                version: '1.0',
+                supportedConnectionTypes: ['long-polling']
+            }], (replies1, cookie) => {
+                const sessionId = replies1[0].clientId;
+                send(port1, cookie, [{
+                    channel: '/meta/subscribe',
+                    clientId: sessionId,
+                    subscription: '/foo'
+                }], replies2 => {
+                    assert.strictEqual(replies2[0].successful, true);
+                    _server.getServerChannel('/foo').publish(null, 'data');
+                    assert.strictEqual(_server.getServerSession(sessionId).queueLength, 1);
+
+                    // Simulate a restart.
+                    _http.close();
+                    _server.close(failure => {
+                        assert.ifError(failure);
+                        let port2 = 0;
+                        // Sessions are restored asynchronously.
+                        const latch = new Latch(2, () => {
+                            send(port2, cookie, [{
+                                channel: '/meta/connect',
+                                clientId: sessionId,
+                                connectionType: 'long-polling',
+                                advice: {timeout: 0}
+                            }], replies3 => {
+                                assert.strictEqual(replies3.length, 2);
+                                assert.strictEqual(replies3[0].channel, '/foo');
+                                assert.strictEqual(replies3[0].data, 'data');
+                                assert.strictEqual(replies3[1].successful, true);
+                                done();
+                            });
+                        });
+                        start(options, port => {
+                            port2 = port;
+                            latch.signal();
+                        });
+                        _server.addListener('sessionAdded', (session: serverLib.ServerSession, message: any) => {
+                            assert.strictEqual(session.id, sessionId);
+                            assert.strictEqual(message, null);
+                            assert.deepStrictEqual(session.subscriptions.map(c => c.name), ['/foo']);
+                            latch.signal();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('writes the file only for the owner and only when records change', done => {
+        const file = path.join(_dir, 'sessions.json');
+        const store = serverLib.createFileSessionStore(file);
+        const record = {
+            id: 'id',
+            browserId: 'browser',
+            handshakeTime: 1,
+            subscriptions: [],
+            queue: [],
+            time: 2
+        };
+        store.save([record], failure1 => {
+            assert.ifError(failure1);
+            assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+            const content = fs.readFileSync(file, 'utf8');
+            const time = Date.now();
+            store.save([Object.assign({}, record, {time: time})], failure2 => {
+                assert.ifError(failure2);
+                // Only the time changed, so the file has not been written.
+                assert.strictEqual(fs.readFileSync(file, 'utf8'), content);
+                store.load((failure3, records) => {
+                    assert.ifError(failure3);
+                    // The time of the records is that of the last save.
+                    assert.ok(records![0].time >= time - 1000);
+                    store.save([Object.assign({}, record, {subscriptions: ['/foo']})], failure4 => {
+                        assert.ifError(failure4);
+                        assert.notStrictEqual(fs.readFileSync(file, 'utf8'), content);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('does not restore sessions older than maxInterval', () => {
+        const now = Date.now();
+        const records: serverLib.SessionRecord[] = [{
+            id: 'fresh',
+            browserId: 'browser',
+            handshakeTime: now - 1000,
+            subscriptions: ['/bar'],
+            queue: [{channel: '/bar', data: 1}],
+            time: now - 1000
+        }, {
+            id: 'stale',
+            browserId: 'browser',
+            handshakeTime: now - 60000,
+            subscriptions: [],
+            queue: [],
+            time: now - 60000
+        }];
+        _server = serverLib.createCometDServer({
+            maxInterval: 10000,
+            sessionStore: {
+                load: callback => callback(undefined, records),
+                save: (records, callback) => callback(undefined, true)
+            }
+        });
+        assert.strictEqual(_server.sessionCount, 1);
+        const session = _server.getServerSession('fresh');
+        assert.strictEqual(session.browserId, 'browser');
+        assert.strictEqual(session.handshakeTime, now - 1000);
+        assert.strictEqual(session.queueLength, 1);
+        assert.deepStrictEqual(_server.getServerChannel('/bar').subscribers, [session]);
+    });
+
+    it('stores remote sessions on close', done => {
+        let stored: serverLib.SessionRecord[] = [];
+        start({
+            sessionStore: {
+                load: callback => callback(undefined, []),
+                save: (records, callback) => {
+                    stored = records;
+                    callback(undefined, true);
+                }
+            }
+        }, port => {
+            const local = _server.newLocalSession('test');
+            local.handshake(() => {
+                send(port, null, [{
+                    channel: '/meta/handshake',
+                    version: '1.0',
+                    supportedConnectionTypes: ['long-polling']
+                }], (replies, cookie) => {
+                    _server.close(failure => {
+                        assert.ifError(failure);
+                        assert.strictEqual(stored.length, 1);
+                        assert.strictEqual(stored[0].id, replies[0].clientId);
+                        assert.strictEqual(stored[0].browserId, cookie);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('stores sessions only once when closed twice', done => {
+        let saves = 0;
+        let saveCallback: (failure?: Error, result?: boolean) => void;
+        _server = serverLib.createCometDServer({
+            sessionStore: {
+                load: callback => callback(undefined, []),
+                save: (records, callback) => {
+                    ++saves;
+                    saveCallback = callback;
+                }
+            }
+        });
+        let closed = 0;
+        const latch = new Latch(2, () => {
+            assert.strictEqual(saves, 1);
+            // Closing an already closed server only notifies the callback.
+            _server.close(() => {
+                assert.strictEqual(saves, 1);
+                done();
+            });
+        });
+        _server.close(() => {
+            ++closed;
+            latch.signal();
+        });
+        _server.close(() => {
+            ++closed;
+            latch.signal();
+        });
+        // The callbacks are notified only when the sessions have been stored.
+        assert.strictEqual(closed, 0);
+        saveCallback!(undefined, true);
+    });
+});
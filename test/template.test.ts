@@ -0,0 +1,105 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as serverLib from '..';
+
+describe('template', () => {
+    let _server: serverLib.CometDServer;
+    let _local: serverLib.LocalSession;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _local = _server.newLocalSession('test');
+        _local.handshake(() => {
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _server.close();
+    });
+
+    it('matches channel names', () => {
+        const template = serverLib.createChannelTemplate('/chat/{room}/{user}');
+        assert.strictEqual(template.wildName, '/chat/**');
+        assert.deepStrictEqual(template.variables, ['room', 'user']);
+        assert.deepStrictEqual(template.match('/chat/lobby/alice'), {room: 'lobby', user: 'alice'});
+        assert.strictEqual(template.match('/chat/lobby'), null);
+        assert.strictEqual(template.match('/chat/lobby/alice/x'), null);
+        assert.strictEqual(template.match('/chat/lobby/*'), null);
+        assert.strictEqual(template.match('/news/lobby/alice'), null);
+        assert.strictEqual(serverLib.createChannelTemplate('/chat/{room}').wildName, '/chat/*');
+        assert.strictEqual(serverLib.createChannelTemplate('/{type}/news').wildName, '/**');
+        assert.throws(() => serverLib.createChannelTemplate('/chat/{room}/{room}'));
+        assert.throws(() => serverLib.createChannelTemplate('/chat/{room}x'));
+        assert.throws(() => serverLib.createChannelTemplate('/chat/*'));
+    });
+
+    it('notifies channel listeners with variables', done => {
+        const calls: any[] = [];
+        const fn: serverLib.ChannelListener = (session, channel, message, variables, callback) => {
+            assert.strictEqual(session, _local.session);
+            calls.push({channel: channel.name, variables});
+            callback();
+        };
+        _server.addChannelListener('/chat/{room}/{user}', fn);
+        _local.publish('/chat/lobby/alice', 'hello', () => {
+            _local.publish('/chat/lobby', 'hello', () => {
+                assert.deepStrictEqual(calls, [{
+                    channel: '/chat/lobby/alice',
+                    variables: {room: 'lobby', user: 'alice'}
+                }]);
+                assert.strictEqual(_server.removeChannelListener('/chat/{room}/{user}', fn), true);
+                assert.strictEqual(_server.removeChannelListener('/chat/{room}/{user}', fn), false);
+                _local.publish('/chat/lobby/bob', 'hello', () => {
+                    assert.strictEqual(calls.length, 1);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('stops processing when channel listener returns false', done => {
+        let received = false;
+        _server.addChannelListener('/chat/{room}', (session, channel, message, variables, callback) => {
+            callback(undefined, variables.room !== 'closed');
+        });
+        _local.subscribe('/chat/closed', () => {
+            received = true;
+        }, () => {
+            _local.publish('/chat/closed', 'hello', () => {
+                assert.strictEqual(received, false);
+                done();
+            });
+        });
+    });
+
+    it('matches channel names in authorizers', done => {
+        const template = serverLib.createChannelTemplate('/chat/{room}/{user}');
+        _local.session!.setAttribute('user', 'alice');
+        _server.createServerChannel(template.wildName).addAuthorizer((operation, channelName, session, message, callback) => {
+            const variables = template.match(channelName);
+            callback(undefined, variables && variables.user === session.getAttribute('user') ? 'grant' : 'ignore');
+        });
+        _local.publish('/chat/lobby/alice', 'hello', (failure, reply) => {
+            assert.strictEqual(reply!.successful, true);
+            _local.publish('/chat/lobby/bob', 'hello', (failure, reply) => {
+                assert.strictEqual(reply!.successful, false);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,154 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import {AddressInfo} from 'net';
+
+describe('transports', () => {
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _uri: string;
+
+    function startServer(options: serverLib.Options | undefined, done: () => void) {
+        _server = serverLib.createCometDServer(options);
+        _http = http.createServer(_server.handle);
+        _http.on('upgrade', _server.handleUpgrade);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            _uri = 'http://localhost:' + port + '/cometd';
+            done();
+        });
+    }
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    function handshake(supportedConnectionTypes: string[], callback: (response: http.IncomingMessage, replies: any[]) => void) {
+        http.request(_uri, {method: 'POST'}, response => {
+            let json = '';
+            response.on('data', chunk => {
+                json += chunk;
+            });
+            response.on('end', () => {
+                callback(response, json ? JSON.parse(json) : []);
+            });
+        }).end(JSON.stringify([{
+            channel: '/meta/handshake',
+            version: '1.0',
+            supportedConnectionTypes: supportedConnectionTypes
+        }]));
+    }
+
+    it('has default transports', done => {
+        startServer(undefined, () => {
+            const names = _server.transports.map(t => t.name());
+            assert.deepStrictEqual(names, ['websocket', 'long-polling', 'sse', 'callback-polling']);
+            assert.ok(_server.getTransport('long-polling'));
+            assert.strictEqual(_server.getTransport('foo'), null);
+            done();
+        });
+    });
+
+    it('replies with the intersection of connection types', done => {
+        startServer(undefined, () => {
+            handshake(['callback-polling', 'long-polling', 'foo'], (response, replies) => {
+                const reply = replies[0];
+                assert.strictEqual(reply.successful, true);
+                assert.deepStrictEqual(reply.supportedConnectionTypes, ['long-polling', 'callback-polling']);
+                done();
+            });
+        });
+    });
+
+    it('fails handshake without common connection types', done => {
+        startServer(undefined, () => {
+            let added = false;
+            _server.addListener('sessionAdded', () => {
+                added = true;
+            });
+            handshake(['foo'], (response, replies) => {
+                const reply = replies[0];
+                assert.strictEqual(reply.successful, false);
+                assert.strictEqual(reply.error, '400::unsupported_connection_types');
+                assert.strictEqual(reply.advice.reconnect, 'none');
+                assert.strictEqual(added, false);
+                done();
+            });
+        });
+    });
+
+    it('restricts transports with allowedTransports', done => {
+        startServer({
+            allowedTransports: ['long-polling']
+        }, () => {
+            assert.deepStrictEqual(_server.transports.map(t => t.name()), ['long-polling']);
+            handshake(['websocket', 'long-polling'], (response, replies) => {
+                assert.deepStrictEqual(replies[0].supportedConnectionTypes, ['long-polling']);
+                // The callback-polling transport is not allowed.
+                http.get(_uri + '?jsonp=cb&message=[]', response => {
+                    assert.strictEqual(response.statusCode, 400);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('removes transport', done => {
+        startServer(undefined, () => {
+            const removed = _server.removeTransport('long-polling');
+            assert.ok(removed);
+            assert.strictEqual(removed!.name(), 'long-polling');
+            assert.strictEqual(_server.removeTransport('long-polling'), null);
+            handshake(['long-polling'], response => {
+                assert.strictEqual(response.statusCode, 400);
+                done();
+            });
+        });
+    });
+
+    it('adds custom transport', done => {
+        startServer(undefined, () => {
+            function CustomTransport(server: serverLib.CometDServer) {
+                const _super = new serverLib.ServerTransport(server);
+                const _self = serverLib.ServerTransport.extends(_super);
+                _self.name = () => 'custom';
+                _self.accept = (request: any) => request.method === 'PUT';
+                _self.handle = (request: any, response: any) => {
+                    response.statusCode = 204;
+                    response.end();
+                };
+                return _self;
+            }
+
+            const custom = CustomTransport(_server);
+            assert.strictEqual(_server.addTransport(custom, 0), true);
+            assert.strictEqual(_server.addTransport(custom), false);
+            assert.strictEqual(_server.transports[0], custom);
+
+            http.request(_uri, {method: 'PUT'}, response => {
+                assert.strictEqual(response.statusCode, 204);
+                handshake(['custom'], (response, replies) => {
+                    assert.deepStrictEqual(replies[0].supportedConnectionTypes, ['custom']);
+                    done();
+                });
+            }).end();
+        });
+    });
+});
@@ -233,4 +233,72 @@ describe('usage', () => {
             }
         });
     });
+
+    it('stores session attributes', done => {
+        _client.handshake(hs => {
+            if (hs.successful) {
+                const session = _server.getServerSession(hs.clientId!);
+                assert.strictEqual(session.getAttribute('foo'), undefined);
+                session.setAttribute('foo', 'bar');
+                session.setAttribute('baz', 1);
+                assert.strictEqual(session.getAttribute('foo'), 'bar');
+                assert.deepStrictEqual(session.attributeNames.sort(), ['baz', 'foo']);
+                assert.strictEqual(session.removeAttribute('baz'), 1);
+                assert.deepStrictEqual(session.attributeNames, ['foo']);
+                session.addListener('removed', () => {
+                    // Attributes are still available to listeners.
+                    assert.strictEqual(session.getAttribute('foo'), 'bar');
+                    setTimeout(() => {
+                        assert.deepStrictEqual(session.attributeNames, []);
+                        done();
+                    }, 0);
+                });
+                session.disconnect();
+            }
+        });
+    });
+
+    it('stores session attributes with any name', done => {
+        _client.handshake(hs => {
+            if (hs.successful) {
+                const session = _server.getServerSession(hs.clientId!);
+                assert.strictEqual(session.getAttribute('toString'), undefined);
+                session.setAttribute('__proto__', 'proto');
+                session.setAttribute('toString', 'string');
+                assert.strictEqual(session.getAttribute('__proto__'), 'proto');
+                assert.strictEqual(session.getAttribute('toString'), 'string');
+                assert.deepStrictEqual(session.attributeNames.sort(), ['__proto__', 'toString']);
+                assert.strictEqual(session.removeAttribute('__proto__'), 'proto');
+                assert.deepStrictEqual(session.attributeNames, ['toString']);
+                _client.disconnect(() => done());
+            }
+        });
+    });
+
+    it('binds principal in handshake policy', done => {
+        _server.policy = {
+            canHandshake: (session, message, callback) => {
+                session.principal = (message.ext as any).user;
+                callback(undefined, true);
+            }
+        };
+
+        _client.handshake({
+            ext: {
+                user: 'user1'
+            }
+        }, hs => {
+            if (hs.successful) {
+                const session = _server.getServerSession(hs.clientId!);
+                assert.strictEqual(session.principal, 'user1');
+                session.addListener('removed', () => {
+                    setTimeout(() => {
+                        assert.strictEqual(session.principal, null);
+                        done();
+                    }, 0);
+                });
+                session.disconnect();
+            }
+        });
+    });
 });
@@ -0,0 +1,278 @@
+/*
+ * Copyright (c) 2020 the original author or authors.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import * as assert from 'assert';
+import * as http from 'http';
+import * as serverLib from '..';
+import * as clientLib from 'cometd';
+import {AddressInfo} from 'net';
+
+require('cometd-nodejs-client').adapt();
+const WebSocket = require('ws');
+
+describe('websocket', () => {
+    let _server: serverLib.CometDServer;
+    let _http: http.Server;
+    let _client: clientLib.CometD;
+    let _uri: string;
+
+    beforeEach(done => {
+        _server = serverLib.createCometDServer();
+        _http = http.createServer(_server.handle);
+        _http.on('upgrade', _server.handleUpgrade);
+        _http.listen(0, 'localhost', () => {
+            const port = (_http.address() as AddressInfo).port;
+            console.log('listening on localhost:' + port);
+            _uri = 'http://localhost:' + port + '/cometd';
+            _client = new clientLib.CometD();
+            _client.configure({
+                url: _uri
+            });
+            done();
+        });
+    });
+
+    afterEach(() => {
+        _http.close();
+        _server.close();
+    });
+
+    function newWebSocket(callback: (ws: any) => void) {
+        const ws = new WebSocket(_uri.replace(/^http/, 'ws'));
+        ws.on('open', () => callback(ws));
+    }
+
+    it('advertises websocket in /meta/handshake reply', done => {
+        newWebSocket(ws => {
+            ws.on('message', (data: any) => {
+                const replies = JSON.parse(data);
+                assert.strictEqual(replies.length, 1);
+                const reply = replies[0];
+                assert.strictEqual(reply.successful, true);
+                assert.ok(reply.clientId);
+                assert.deepStrictEqual(reply.supportedConnectionTypes, ['websocket']);
+                ws.close();
+                done();
+            });
+            ws.send(JSON.stringify([{
+                channel: '/meta/handshake',
+                version: '1.0',
+                supportedConnectionTypes: ['websocket']
+            }]));
+        });
+    });
+
+    it('closes connection on non-JSON content', done => {
+        newWebSocket(ws => {
+            ws.on('close', (code: number) => {
+                assert.strictEqual(code, 1002);
+                done();
+            });
+            ws.send('a');
+        });
+    });
+
+    it('closes connection on non-object messages', done => {
+        newWebSocket(ws => {
+            ws.on('close', (code: number) => {
+                assert.strictEqual(code, 1002);
+                // The server is still running.
+                newWebSocket(ws2 => {
+                    ws2.on('message', (data: any) => {
+                        assert.strictEqual(JSON.parse(data)[0].successful, true);
+                        ws2.close();
+                        done();
+                    });
+                    ws2.send(JSON.stringify([{
+                        channel: '/meta/handshake',
+                        version: '1.0',
+                        supportedConnectionTypes: ['websocket']
+                    }]));
+                });
+            });
+            ws.send('[null]');
+        });
+    });
+
+    it('closes connection on message larger than maxRequestBytes', done => {
+        _server.options.maxRequestBytes = 64;
+        let rejected = false;
+        _server.addListener('rejected', (reason, request, session, message) => {
+            assert.strictEqual(reason, 'maxRequestBytes');
+            assert.strictEqual(request.headers.upgrade, 'websocket');
+            assert.strictEqual(session, undefined);
+            assert.strictEqual(message, undefined);
+            rejected = true;
+        });
+        newWebSocket(ws => {
+            ws.on('close', (code: number) => {
+                assert.strictEqual(code, 1009);
+                assert.strictEqual(rejected, true);
+                done();
+            });
+            ws.send(JSON.stringify([{
+                channel: '/meta/handshake',
+                version: '1.0',
+                supportedConnectionTypes: ['websocket'],
+                ext: {
+                    padding: 'x'.repeat(1024)
+                }
+            }]));
+        });
+    });
+
+    it('closes connection on more than maxMessagesPerRequest', done => {
+        _server.options.maxMessagesPerRequest = 1;
+        let rejected = false;
+        _server.addListener('rejected', (reason, request, session, message) => {
+            assert.strictEqual(reason, 'maxMessagesPerRequest');
+            assert.strictEqual(request.headers.upgrade, 'websocket');
+            assert.strictEqual(session, undefined);
+            assert.strictEqual(message, undefined);
+            rejected = true;
+        });
+        newWebSocket(ws => {
+            ws.on('close', (code: number) => {
+                assert.strictEqual(code, 1009);
+                assert.strictEqual(rejected, true);
+                done();
+            });
+            const handshake = {
+                channel: '/meta/handshake',
+                version: '1.0',
+                supportedConnectionTypes: ['websocket']
+            };
+            ws.send(JSON.stringify([handshake, handshake]));
+        });
+    });
+
+    it('notifies rejection of message larger than maxMessageBytes', done => {
+        _server.options.maxMessageBytes = 256;
+        newWebSocket(ws => {
+            let sessionId: string;
+            let rejected = false;
+            _server.addListener('rejected', (reason, request, session, message) => {
+                assert.strictEqual(reason, 'maxMessageBytes');
+                assert.strictEqual(request.headers.upgrade, 'websocket');
+                assert.strictEqual(session!.id, sessionId);
+                assert.strictEqual(message!.channel, '/foo');
+                rejected = true;
+            });
+            ws.on('message', (data: any) => {
+                const reply = JSON.parse(data)[0];
+                if (reply.channel === '/meta/handshake') {
+                    sessionId = reply.clientId;
+                    ws.send(JSON.stringify([{
+                        channel: '/foo',
+                        clientId: sessionId,
+                        data: 'x'.repeat(1024)
+                    }]));
+                } else {
+                    assert.strictEqual(reply.channel, '/foo');
+                    assert.strictEqual(reply.error, '400::message_too_large');
+                    assert.strictEqual(rejected, true);
+                    ws.close();
+                    done();
+                }
+            });
+            ws.send(JSON.stringify([{
+                channel: '/meta/handshake',
+                version: '1.0',
+                supportedConnectionTypes: ['websocket']
+            }]));
+        });
+    });
+
+    it('connects with websocket transport', done => {
+        _client.handshake(hs => {
+            if (hs.successful) {
+                assert.strictEqual((_client.getTransport() as any).getType(), 'websocket');
+                _client.disconnect(() => {
+                    done();
+                });
+            }
+        });
+    });
+
+    it('holds /meta/connect', function(done) {
+        const timeout = 1000;
+        _server.options.timeout = timeout;
+        this.timeout(3 * timeout);
+
+        let connects = 0;
+        _client.addListener('/meta/connect', () => {
+            if (++connects === 2) {
+                _client.disconnect(() => {
+                    done();
+                });
+            }
+        });
+        _client.handshake(hs => {
+            if (hs.successful) {
+                const session = _server.getServerSession(hs.clientId!);
+                session.addListener('resumed', (s: serverLib.ServerSession, m: any, expired: boolean) => {
+                    assert.strictEqual(expired, true);
+                });
+            }
+        });
+    });
+
+    it('pushes messages while /meta/connect is held', function(done) {
+        const timeout = 5000;
+        _server.options.timeout = timeout;
+        this.timeout(2 * timeout);
+
+        const channelName = '/ws';
+        let resumed = false;
+        _client.handshake(hs => {
+            if (hs.successful) {
+                _client.subscribe(channelName, msg => {
+                    assert.strictEqual(msg.data, 'data');
+                    // The message must be pushed without resuming the /meta/connect.
+                    assert.strictEqual(resumed, false);
+                    _client.disconnect(() => {
+                        done();
+                    });
+                }, ss => {
+                    if (ss.successful) {
+                        const session = _server.getServerSession(hs.clientId!);
+                        session.addListener('resumed', () => {
+                            resumed = true;
+                        });
+                        _server.getServerChannel(channelName).publish(null, 'data');
+                    }
+                });
+            }
+        });
+    });
+
+    it('publishes and receives messages', done => {
+        const channelName = '/chat';
+        _client.handshake(hs => {
+            if (hs.successful) {
+                _client.subscribe(channelName, msg => {
+                    assert.strictEqual(msg.data, 'hello');
+                    _client.disconnect(() => {
+                        done();
+                    });
+                }, ss => {
+                    if (ss.successful) {
+                        _client.publish(channelName, 'hello');
+                    }
+                });
+            }
+        });
+    });
+});